@@ -1,228 +1,2316 @@
 /**
  * Background service worker for Website Blocker.
  *
- * Listens for changes to the blockedSites list in chrome.storage.sync
- * and keeps declarativeNetRequest dynamic redirect rules in sync.
+ * Listens for changes to the blockedSites list in sync storage (see
+ * storage.js) and keeps declarativeNetRequest dynamic redirect rules in sync.
  */
 
+importScripts(
+  "storage.js", "preferences.js", "public-suffixes.js", "domains.js", "rules.js", "profiles.js",
+  "lists.js", "blocklist.js", "goals.js"
+);
+
+// Day indices follow Date.prototype.getDay(): 0 = Sunday ... 6 = Saturday
+const ALL_DAYS = [0, 1, 2, 3, 4, 5, 6];
+
+// Longest stretch of active-tab time credited in one step; guards against
+// counting time the worker spent asleep or the machine spent suspended
+const MAX_USAGE_STEP_MS = 2 * 60 * 1000;
+
+// Subresource requests stopped for entries with the "block embeds" option
+const EMBED_RESOURCE_TYPES = ["sub_frame", "media", "xmlhttprequest", "script", "image"];
+
+const BYPASS_CHALLENGE_TTL_MS = 10 * 60 * 1000;
+// Longest answer kept for "why are you visiting?"
+const INTENT_MAX_LENGTH = 300;
+// Cooldowns are capped at a day, so two days covers "today" in any timezone
+const BYPASS_LOG_RETENTION_MS = 2 * 24 * 60 * 60 * 1000;
+// Settings frozen while strict mode is on; blockedSites and subscriptions
+// may only grow
+const STRICT_FROZEN_KEYS = [
+  "siteOptions", "allowedSites", "blockMode", "blockGroups", "profiles", "activeProfile"
+];
+const STRICT_GROWING_KEYS = ["blockedSites", "subscriptions"];
+const STRICT_MAX_MS = 365 * 24 * 60 * 60 * 1000;
+
+// Subscribed lists are fetched again every six hours
+const SUBSCRIPTION_REFRESH_MINUTES = 6 * 60;
+// Longest list text accepted from a subscription (about 5 MB)
+const SUBSCRIPTION_MAX_CHARS = 5 * 1024 * 1024;
+// Subscribed domains are packed into shared rules (requestDomains) of this
+// many each, so a hosts file of 100k names costs about a hundred rules
+const SUBSCRIPTION_DOMAINS_PER_RULE = 1000;
+
+// Toolbar badge colors: minutes left on a bypass, and today's block count
+const BADGE_ALLOW_COLOR = "#e9b045";
+const BADGE_COUNT_COLOR = "#e94560";
+
+// Scored goal days are kept this long for the stats page; best streaks are
+// kept for good
+const GOAL_HISTORY_DAYS = 90;
+// The weekly summary goes out on Monday (getDay() = 1) at 09:00
+const WEEKLY_SUMMARY_DAY = 1;
+const WEEKLY_SUMMARY_HOUR = 9;
+
+const BYPASS_PASSAGES = [
+  "I am choosing to spend my time here instead of on what matters most right now.",
+  "This visit is a decision, not an accident, and I will own how I spend the next few minutes.",
+  "The work I am avoiding will still be waiting for me when these minutes are over.",
+  "I know exactly why I blocked this site, and I am opening it anyway."
+];
+
+/**
+ * Get or create unique rule IDs for a batch of rule keys (entries, or
+ * "allow:<entry>" / "embeds:<entry>" / "keyword:<keyword>" for allow, embed
+ * and keyword rules, "subscriptions:<n>" / "bypass:<entry>" for subscribed
+ * lists). Uses a persistent mapping in storage to
+ * prevent collisions; new IDs are assigned in one read and one write, so
+ * calls must not overlap (see syncRules).
+ */
+async function allocateRuleIds(keys) {
+  const data = await getLocalData({
+    domainIdMap: {},
+    nextRuleId: 1
+  });
+
+  let changed = false;
+  for (const key of keys) {
+    if (!data.domainIdMap[key]) {
+      data.domainIdMap[key] = data.nextRuleId;
+      data.nextRuleId += 1;
+      changed = true;
+    }
+  }
+  if (changed) {
+    await setLocalData({
+      domainIdMap: data.domainIdMap,
+      nextRuleId: data.nextRuleId
+    });
+  }
+  return data.domainIdMap;
+}
+
+/**
+ * Forget the IDs of rule keys none of the given rules use any more (removed
+ * sites, ended bypasses, entries dropped from a list), so the mapping doesn't
+ * grow forever. IDs are never handed out twice, so a rule still installed
+ * under a forgotten ID is simply removed by the next sync.
+ */
+async function pruneRuleIds(rules) {
+  const used = new Set(rules.map((rule) => rule.id));
+  const { domainIdMap } = await getLocalData({ domainIdMap: {} });
+  const kept = Object.fromEntries(Object.entries(domainIdMap).filter(([, id]) => used.has(id)));
+  if (Object.keys(kept).length !== Object.keys(domainIdMap).length) {
+    await setLocalData({ domainIdMap: kept });
+  }
+}
+
+/**
+ * Build a declarativeNetRequest redirect rule for a blocklist entry
+ * (domain, path prefix, wildcard or regex; see rules.js). An optional reason
+ * (e.g. "budget") is passed on to the blocked page; with a redirect URL the
+ * rule sends the tab there instead of to the blocked page.
+ */
+function buildRule(entry, ruleId, reason, redirectUrl) {
+  const query = `site=${encodeURIComponent(entry)}${reason ? `&reason=${reason}` : ""}`;
+  return {
+    id: ruleId,
+    priority: 1,
+    action: {
+      type: "redirect",
+      redirect: redirectUrl
+        ? { url: redirectUrl }
+        : { extensionPath: `/blocked.html?${query}` }
+    },
+    condition: {
+      ...buildRuleCondition(entry),
+      resourceTypes: ["main_frame"]
+    }
+  };
+}
+
+/**
+ * Build the rule for an entry's "block embeds" option: subresource requests
+ * (frames, media, XHR, scripts, images) to the entry from other sites are
+ * cancelled outright, since a redirect to the blocked page makes no sense for
+ * them. The site's own requests are left alone, so pages let through by an
+ * exception or a bypass still load.
+ */
+function buildEmbedRule(entry, ruleId) {
+  return {
+    id: ruleId,
+    priority: 1,
+    action: { type: "block" },
+    condition: {
+      ...buildRuleCondition(entry),
+      domainType: "thirdParty",
+      resourceTypes: EMBED_RESOURCE_TYPES
+    }
+  };
+}
+
+/**
+ * Build the regex redirect rule for a blocked keyword (see rules.js); the
+ * blocked page is told which keyword matched and on which host, to count
+ * the block under.
+ */
+function buildKeywordRule(item, ruleId) {
+  return {
+    id: ruleId,
+    priority: 1,
+    action: {
+      type: "redirect",
+      redirect: {
+        regexSubstitution:
+          `${chrome.runtime.getURL("blocked.html")}?keyword=${encodeURIComponent(item.keyword)}&host=\\1`
+      }
+    },
+    condition: {
+      regexFilter: buildKeywordRegex(item),
+      isUrlFilterCaseSensitive: !item.ignoreCase,
+      resourceTypes: ["main_frame"]
+    }
+  };
+}
+
+/**
+ * Build the low-priority catch-all rule used in allowlist mode. It redirects
+ * every http(s) navigation to the blocked page, passing the host along so
+ * "Five more minutes" knows what to allow.
+ */
+function buildCatchAllRule(ruleId) {
+  const blockedPage = chrome.runtime.getURL("blocked.html");
+  return {
+    id: ruleId,
+    priority: 1,
+    action: {
+      type: "redirect",
+      redirect: {
+        regexSubstitution: `${blockedPage}?site=\\1&mode=allowlist`
+      }
+    },
+    condition: {
+      regexFilter: "^https?://([^/?#:]+).*$",
+      resourceTypes: ["main_frame"]
+    }
+  };
+}
+
+/**
+ * Build the redirect rule for a batch of subscribed domains. Like the
+ * allowlist catch-all it passes the host along, since one rule covers many
+ * sites; the blocked page and bypasses work with the host.
+ */
+function buildSubscriptionRule(domains, ruleId) {
+  const rule = buildCatchAllRule(ruleId);
+  rule.condition.requestDomains = domains;
+  rule.action.redirect.regexSubstitution = `${chrome.runtime.getURL("blocked.html")}?site=\\1`;
+  return rule;
+}
+
+/**
+ * Build a higher-priority allow rule that exempts an entry from the
+ * allowlist-mode catch-all, or an exception from its parent's redirect rule
+ * (and, with the embed resource types, from its embed rule).
+ */
+function buildAllowRule(entry, ruleId, resourceTypes = ["main_frame"]) {
+  return {
+    id: ruleId,
+    priority: 2,
+    action: { type: "allow" },
+    condition: {
+      ...buildRuleCondition(entry),
+      resourceTypes
+    }
+  };
+}
+
+/**
+ * Convert an "HH:MM" string to minutes since midnight.
+ * Returns null for anything that isn't a valid time of day.
+ */
+function parseTime(value) {
+  const match = /^(\d{2}):(\d{2})$/.exec(value || "");
+  if (!match) return null;
+  const hours = Number(match[1]);
+  const minutes = Number(match[2]);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Check whether a single schedule window covers the given moment.
+ * A window whose end is not after its start runs past midnight into the
+ * next day (e.g. 22:00–00:00 means "after 22:00"); days refer to the day
+ * the window starts on.
+ */
+function isWindowActive(timeWindow, date) {
+  const start = parseTime(timeWindow.start);
+  const end = parseTime(timeWindow.end);
+  const days = Array.isArray(timeWindow.days) ? timeWindow.days : ALL_DAYS;
+  if (start === null || end === null) return false;
+
+  const minutes = date.getHours() * 60 + date.getMinutes();
+  const day = date.getDay();
+  if (start < end) {
+    return days.includes(day) && minutes >= start && minutes < end;
+  }
+  const previousDay = (day + 6) % 7;
+  return (days.includes(day) && minutes >= start) ||
+    (days.includes(previousDay) && minutes < end);
+}
+
+/**
+ * A site with no schedule is blocked around the clock; otherwise it is
+ * blocked only while one of its windows is active.
+ */
+function isScheduledNow(schedule, date) {
+  if (!Array.isArray(schedule) || schedule.length === 0) return true;
+  return schedule.some((timeWindow) => isWindowActive(timeWindow, date));
+}
+
+/**
+ * Find the next moment (ms timestamp) any schedule window starts or ends.
+ * Returns null when no site has a schedule.
+ */
+function getNextScheduleEdge(siteOptions, now) {
+  let soonest = null;
+  const consider = (time) => {
+    if (time > now && (soonest === null || time < soonest)) {
+      soonest = time;
+    }
+  };
+
+  for (const options of Object.values(siteOptions)) {
+    const schedule = options && options.schedule;
+    if (!Array.isArray(schedule)) continue;
+    for (const timeWindow of schedule) {
+      const start = parseTime(timeWindow.start);
+      const end = parseTime(timeWindow.end);
+      const days = Array.isArray(timeWindow.days) ? timeWindow.days : ALL_DAYS;
+      if (start === null || end === null) continue;
+
+      // Look one day back (for windows running past midnight) and a week ahead
+      for (let offset = -1; offset <= 7; offset++) {
+        const base = new Date(now);
+        base.setHours(0, 0, 0, 0);
+        base.setDate(base.getDate() + offset);
+        if (!days.includes(base.getDay())) continue;
+
+        const startAt = new Date(base);
+        startAt.setHours(Math.floor(start / 60), start % 60);
+        const endAt = new Date(base);
+        if (end <= start) endAt.setDate(endAt.getDate() + 1);
+        endAt.setHours(Math.floor(end / 60), end % 60);
+        consider(startAt.getTime());
+        consider(endAt.getTime());
+      }
+    }
+  }
+  return soonest;
+}
+
+// Writes to the block history (blockStats, blockEvents) run one at a time,
+// so a block, a bypass and a prune never overwrite each other's changes
+let historyQueue = Promise.resolve();
+
+/**
+ * Run an update of the block history after the ones queued before it.
+ * Returns the update's own promise, so callers still see its errors.
+ */
+function queueHistoryUpdate(update) {
+  const run = historyQueue.then(update);
+  historyQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Append events ({ type, site, at, ... }) to the blockEvents log, pruning
+ * events past the retention window.
+ */
+function recordEvents(events) {
+  return queueHistoryUpdate(async () => {
+    const [{ retentionDays }, { blockEvents }] = await Promise.all([
+      getPreferences(["retentionDays"]),
+      getLocalData({ blockEvents: [] })
+    ]);
+    const cutoff = Date.now() - retentionDays * 24 * 60 * 60 * 1000;
+    const kept = blockEvents.filter((e) => e.at >= cutoff);
+    kept.push(...events);
+    await setLocalData({ blockEvents: kept });
+  });
+}
+
+/**
+ * Drop the dates of blockStats ({ site: { date: count } }, keyed by local
+ * date) before the cutoff date, and sites left without any.
+ */
+function pruneBlockStats(blockStats, cutoff) {
+  const cutoffKey = localDateKey(cutoff);
+  for (const [site, dates] of Object.entries(blockStats)) {
+    for (const day of Object.keys(dates)) {
+      if (day < cutoffKey) delete dates[day];
+    }
+    if (Object.keys(dates).length === 0) delete blockStats[site];
+  }
+}
+
+/**
+ * Count a visit to the blocked page for the given site: a daily count in
+ * blockStats plus a timestamped "block" event in blockEvents (naming the
+ * keyword, for keyword blocks), pruning both to the retention window.
+ */
+function recordBlock(site, keyword) {
+  return queueHistoryUpdate(async () => {
+    const now = new Date();
+    const [{ retentionDays }, { blockStats, blockEvents }] = await Promise.all([
+      getPreferences(["retentionDays"]),
+      getLocalData({ blockStats: {}, blockEvents: [] })
+    ]);
+    const cutoff = new Date(now);
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+
+    const today = localDateKey(now);
+    if (!blockStats[site]) blockStats[site] = {};
+    blockStats[site][today] = (blockStats[site][today] || 0) + 1;
+    pruneBlockStats(blockStats, cutoff);
+
+    const events = blockEvents.filter((e) => e.at >= cutoff.getTime());
+    const event = { type: "block", site, at: now.getTime() };
+    if (keyword) event.keyword = keyword;
+    events.push(event);
+    await setLocalData({ blockStats, blockEvents: events });
+  });
+}
+
+/**
+ * Drop block statistics and events older than the retention window, so
+ * that a shorter window takes effect before the next block or bypass.
+ * Usage is pruned by updateUsage().
+ */
+function pruneHistory(retentionDays) {
+  return queueHistoryUpdate(async () => {
+    const { blockStats, blockEvents } = await getLocalData({ blockStats: {}, blockEvents: [] });
+    const cutoff = new Date();
+    cutoff.setDate(cutoff.getDate() - retentionDays);
+    pruneBlockStats(blockStats, cutoff);
+    await setLocalData({
+      blockStats,
+      blockEvents: blockEvents.filter((e) => e.at >= cutoff.getTime())
+    });
+  });
+}
+
+/**
+ * Advance a focus session past any phases that have already ended.
+ * Focus and break phases alternate until the last focus phase of the last
+ * cycle is over, at which point the session is finished and null is returned.
+ */
+function advanceFocusSession(session, now) {
+  let current = session;
+  while (current && current.phaseEndsAt <= now) {
+    if (current.phase === "focus") {
+      if (current.cycle >= current.cycles) return null;
+      current = {
+        ...current,
+        phase: "break",
+        phaseEndsAt: current.phaseEndsAt + current.breakMinutes * 60 * 1000
+      };
+    } else {
+      current = {
+        ...current,
+        phase: "focus",
+        cycle: current.cycle + 1,
+        phaseEndsAt: current.phaseEndsAt + current.focusMinutes * 60 * 1000
+      };
+    }
+  }
+  return current;
+}
+
+/**
+ * Read the focus session from storage, catching up on any phase changes
+ * missed while the service worker was asleep, and persist the result.
+ */
+async function getFocusSession() {
+  const data = await getLocalData({ focusSession: null });
+  const session = advanceFocusSession(data.focusSession, Date.now());
+  if (session === data.focusSession) return session;
+  if (session) {
+    await setLocalData({ focusSession: session });
+  } else {
+    await removeLocalData("focusSession");
+  }
+  return session;
+}
+
+/**
+ * Return the host (without www.) usage is counted under, or null for
+ * anything that isn't an http(s) page.
+ */
+function getUsageHost(url) {
+  try {
+    const parsed = new URL(url);
+    if (parsed.protocol !== "http:" && parsed.protocol !== "https:") return null;
+    return normalizeDomain(parsed.hostname);
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Get the set of entries whose daily time budget is used up today.
+ */
+async function getUsedUpBudgets() {
+  const [syncData, localData] = await Promise.all([
+    getSettings({ siteOptions: {} }),
+    getLocalData({ siteUsage: {} })
+  ]);
+  const usageToday = localData.siteUsage[localDateKey(new Date())] || {};
+  const usedUp = new Set();
+  for (const [entry, options] of Object.entries(syncData.siteOptions)) {
+    if (!options || !(options.budgetMinutes > 0)) continue;
+    if (getEntryUsageSeconds(entry, usageToday) >= options.budgetMinutes * 60) {
+      usedUp.add(entry);
+    }
+  }
+  return usedUp;
+}
+
+/**
+ * Get the blocklist entries in the active profile's groups (see profiles.js),
+ * minus any entry that is temporarily allowed (see filterGrantedAllows) or currently
+ * outside its blocking schedule. Sites chosen for a running focus session are
+ * blocked during its focus phases, even ones the profile doesn't block or
+ * only blocks on a schedule, and released during its breaks (unless strict
+ * mode is on).
+ * Sites with a daily time budget are only blocked once the budget is used up.
+ * The entries of subscribed lists that aren't the user's own are returned
+ * apart (subscribedSites), minus the temporarily allowed ones, along with
+ * every temporary allow in effect (allowedSites).
+ * Prunes expired entries from temporaryAllows and persists.
+ */
+async function getEffectiveBlockedSites() {
+  const [syncData, localData, focusSession, usedUpBudgets, strictMode] = await Promise.all([
+    getSettings({ blockedSites: [], siteOptions: {}, subscriptions: [], ...PROFILE_DEFAULTS }),
+    getLocalData({ temporaryAllows: {}, bypassLog: {}, subscriptionData: {} }),
+    getFocusSession(),
+    getUsedUpBudgets(),
+    getStrictMode()
+  ]);
+  const sessionSites = new Set(focusSession ? focusSession.sites : []);
+  const focusing = !!focusSession && focusSession.phase === "focus";
+  const profileSites = getProfileEntries(syncData.blockedSites, syncData);
+  const blockedSites = focusing
+    ? [...new Set([...profileSites, ...sessionSites])]
+    : profileSites;
+  const ownSites = new Set(blockedSites);
+  const siteOptions = syncData.siteOptions || {};
+  let temporaryAllows = localData.temporaryAllows || {};
+  const now = Date.now();
+
+  // Prune expired entries, logging each expiry for the stats page
+  const pruned = { ...temporaryAllows };
+  const expired = [];
+  for (const domain of Object.keys(pruned)) {
+    if (pruned[domain] <= now) {
+      expired.push({ type: "expire", site: domain, at: pruned[domain] });
+      delete pruned[domain];
+    }
+  }
+  if (expired.length > 0) {
+    temporaryAllows = pruned;
+    await setLocalData({ temporaryAllows });
+    await recordEvents(expired);
+  }
+
+  const allows = filterGrantedAllows(temporaryAllows, localData.bypassLog, strictMode, now);
+  const date = new Date(now);
+  const subscribedSites = [...new Set(
+    getSubscribedEntries(syncData.subscriptions, localData.subscriptionData)
+  )].filter((entry) => !ownSites.has(entry) && !allows[entry]);
+  return {
+    blockedSites: blockedSites.filter((domain) => {
+      if (allows[domain]) return false;
+      if (sessionSites.has(domain)) {
+        if (focusing) return true;
+        // A break releases the session's sites, but not from a strict lock
+        if (!strictMode) return false;
+      }
+      const options = siteOptions[domain] || {};
+      if (!isScheduledNow(options.schedule, date)) return false;
+      return options.budgetMinutes > 0 ? usedUpBudgets.has(domain) : true;
+    }),
+    subscribedSites,
+    allowedSites: Object.keys(allows)
+  };
+}
+
+/**
+ * Get allowedSites plus any entry that is temporarily allowed (see
+ * filterGrantedAllows). Used in allowlist mode, where these are the only
+ * reachable sites.
+ */
+async function getEffectiveAllowedSites() {
+  const [syncData, allows] = await Promise.all([
+    getSettings({ allowedSites: [] }),
+    getGrantedAllows()
+  ]);
+  return [...new Set([...(syncData.allowedSites || []), ...Object.keys(allows)])];
+}
+
+/**
+ * Build the dynamic rules the current settings call for (see
+ * getEffectiveBlockedSites), as the user's own rules and those of subscribed
+ * lists: { own, subscribed }. In blocklist mode the own rules are redirect
+ * rules for the effective blocklist (to the blocked page or the entry's
+ * redirect target), embed rules for entries that block embeds, keyword rules
+ * and allow rules for the entries' exceptions. In allowlist mode: the
+ * catch-all rule plus allow rules. None while blocking is paused.
+ */
+async function buildDesiredRules({ blockedSites, subscribedSites, allowedSites }) {
+  if (await getPausedUntil()) return { own: [], subscribed: [] };
+
+  const [{ blockMode, siteOptions, blockedKeywords }, { productiveDestination }] = await Promise.all([
+    getSettings({ blockMode: "blocklist", siteOptions: {}, blockedKeywords: [] }),
+    getPreferences(["productiveDestination"])
+  ]);
+
+  if (blockMode === "allowlist") {
+    const allowed = await getEffectiveAllowedSites();
+    const ids = await allocateRuleIds(["allowlist:*", ...allowed.map((e) => `allow:${e}`)]);
+    return {
+      own: [
+        buildCatchAllRule(ids["allowlist:*"]),
+        ...allowed.map((entry) => buildAllowRule(entry, ids[`allow:${entry}`]))
+      ],
+      subscribed: []
+    };
+  }
+
+  // Exceptions of the active entries outrank their redirect and embed rules
+  const exceptions = new Set();
+  const embedSites = [];
+  for (const entry of blockedSites) {
+    const options = siteOptions[entry] || {};
+    (options.exceptions || []).forEach((e) => exceptions.add(e));
+    if (options.blockEmbeds) embedSites.push(entry);
+  }
+  const usedUpBudgets = await getUsedUpBudgets();
+  const ids = await allocateRuleIds([
+    ...blockedSites,
+    ...embedSites.map((e) => `embeds:${e}`),
+    ...[...exceptions].map((e) => `allow:${e}`),
+    ...blockedKeywords.map((item) => `keyword:${item.keyword}`)
+  ]);
+  const exceptionTypes = ["main_frame", ...EMBED_RESOURCE_TYPES];
+  const own = [
+    ...blockedSites.map((entry) => buildRule(
+      entry,
+      ids[entry],
+      usedUpBudgets.has(entry) ? "budget" : null,
+      getSafeRedirectTarget(entry, blockedSites, siteOptions, productiveDestination)
+    )),
+    ...embedSites.map((entry) => buildEmbedRule(entry, ids[`embeds:${entry}`])),
+    ...blockedKeywords.map((item) => buildKeywordRule(item, ids[`keyword:${item.keyword}`])),
+    ...[...exceptions].map((exception) =>
+      buildAllowRule(exception, ids[`allow:${exception}`], exceptionTypes)
+    )
+  ];
+  return { own, subscribed: await buildSubscriptionRules(subscribedSites, allowedSites) };
+}
+
+/**
+ * Build the rules for the entries of subscribed lists: bare domains packed
+ * into shared rules, anything else one rule per entry. A bypass started from
+ * a shared rule allows the host the blocked page was given, which may be a
+ * subdomain of a listed one; such allows get an allow rule of their own.
+ */
+async function buildSubscriptionRules(subscribedSites, allowedSites) {
+  const listed = new Set(subscribedSites);
+  const domains = subscribedSites.filter((entry) => parseSiteEntry(entry).type === "domain");
+  const others = subscribedSites.filter((entry) => parseSiteEntry(entry).type !== "domain");
+  const batches = [];
+  for (let i = 0; i < domains.length; i += SUBSCRIPTION_DOMAINS_PER_RULE) {
+    batches.push(domains.slice(i, i + SUBSCRIPTION_DOMAINS_PER_RULE));
+  }
+  const bypassed = batches.length > 0
+    ? allowedSites.filter((entry) => !listed.has(entry) && entryMatchesAnyDomain(entry, domains))
+    : [];
+
+  const ids = await allocateRuleIds([
+    ...batches.map((_, i) => `subscriptions:${i}`),
+    ...others,
+    ...bypassed.map((entry) => `bypass:${entry}`)
+  ]);
+  return [
+    ...batches.map((batch, i) => buildSubscriptionRule(batch, ids[`subscriptions:${i}`])),
+    ...others.map((entry) => buildRule(entry, ids[entry])),
+    ...bypassed.map((entry) => buildAllowRule(entry, ids[`bypass:${entry}`]))
+  ];
+}
+
+/**
+ * Check whether an entry's host is one of the given domains or under one.
+ */
+function entryMatchesAnyDomain(entry, domains) {
+  const host = getEntryHost(entry);
+  if (!host) return false;
+  const labels = host.split(".");
+  const suffixes = new Set(labels.map((label, i) => labels.slice(i).join(".")));
+  return domains.some((domain) => suffixes.has(domain));
+}
+
+/**
+ * Pick the URL an active entry redirects to, or null for the blocked page.
+ * The popup refuses blocked targets, but sites added later can cover one;
+ * such a target is skipped so the redirect can't loop.
+ */
+function getSafeRedirectTarget(entry, blockedSites, siteOptions, productiveDestination) {
+  const target = getRedirectTarget(siteOptions[entry], productiveDestination);
+  if (!target) return null;
+  const blocking = findBlockingEntry(target, blockedSites, siteOptions);
+  if (blocking) {
+    console.warn(`[Website Blocker] Not redirecting ${entry} to ${target}: it is blocked by ${blocking}`);
+    return null;
+  }
+  return target;
+}
+
+/**
+ * True if an installed rule matches a desired one. Only the fields the
+ * desired rule sets are compared, so defaults Chrome fills in don't count.
+ */
+function ruleMatches(desired, installed) {
+  if (desired === null || typeof desired !== "object") return desired === installed;
+  if (installed === null || typeof installed !== "object") return false;
+  if (Array.isArray(desired) && (!Array.isArray(installed) || desired.length !== installed.length)) {
+    return false;
+  }
+  return Object.keys(desired).every((key) => ruleMatches(desired[key], installed[key]));
+}
+
+// Rule actions Chrome counts as "unsafe" (MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES)
+const UNSAFE_RULE_ACTIONS = ["redirect", "modifyHeaders"];
+
+/**
+ * Check a rule set against the dynamic, unsafe (redirect) and regex rule
+ * limits. Returns a message for the popup, or null if the rules fit.
+ */
+function checkRuleLimits(rules) {
+  const api = chrome.declarativeNetRequest;
+  const maxRules = api.MAX_NUMBER_OF_DYNAMIC_RULES || api.MAX_NUMBER_OF_DYNAMIC_AND_SESSION_RULES || 5000;
+  const maxUnsafeRules = api.MAX_NUMBER_OF_UNSAFE_DYNAMIC_RULES || 5000;
+  const maxRegexRules = api.MAX_NUMBER_OF_REGEX_RULES || 1000;
+  const unsafeRules = rules.filter((rule) => UNSAFE_RULE_ACTIONS.includes(rule.action.type)).length;
+  const regexRules = rules.filter((rule) => rule.condition.regexFilter).length;
+  if (rules.length > maxRules) {
+    return `Too many rules: this needs ${rules.length} of at most ${maxRules}. Remove some sites or exceptions.`;
+  }
+  if (unsafeRules > maxUnsafeRules) {
+    return `Too many blocked sites: this needs ${unsafeRules} redirect rules of at most ${maxUnsafeRules}. Remove some sites or keywords.`;
+  }
+  if (regexRules > maxRegexRules) {
+    return `Too many regex rules: this needs ${regexRules} of at most ${maxRegexRules}. Remove some regex sites.`;
+  }
+  return null;
+}
+
+// declarativeNetRequest precedence between actions of equal priority
+const ACTION_PRECEDENCE = ["allow", "allowAllRequests", "block", "upgradeScheme", "redirect"];
+
+/**
+ * Check whether a rule applies to a main-frame navigation to a URL.
+ */
+function ruleAppliesToUrl(rule, url) {
+  const { condition } = rule;
+  if (!condition.resourceTypes.includes("main_frame")) return false;
+  try {
+    if (condition.requestDomains) {
+      const host = new URL(url).hostname;
+      const covered = condition.requestDomains.some((domain) =>
+        host === domain || host.endsWith(`.${domain}`)
+      );
+      if (!covered) return false;
+    }
+    if (condition.regexFilter) {
+      return new RegExp(condition.regexFilter, condition.isUrlFilterCaseSensitive ? "" : "i").test(url);
+    }
+    return urlFilterToRegExp(condition.urlFilter).test(url);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Find the rule that decides a main-frame navigation to a URL the way
+ * declarativeNetRequest would: highest priority first, then allow over block
+ * over redirect. Returns null if no rule matches.
+ */
+function findDecidingRule(rules, url) {
+  let deciding = null;
+  for (const rule of rules) {
+    if (!ruleAppliesToUrl(rule, url)) continue;
+    if (
+      !deciding ||
+      rule.priority > deciding.priority ||
+      (rule.priority === deciding.priority &&
+        ACTION_PRECEDENCE.indexOf(rule.action.type) < ACTION_PRECEDENCE.indexOf(deciding.action.type))
+    ) {
+      deciding = rule;
+    }
+  }
+  return deciding;
+}
+
+/**
+ * Work out where a redirect rule sends a URL. The blocked page also gets the
+ * original URL ("from") so the user can return to it after a bypass.
+ */
+function getRuleRedirectUrl(rule, url) {
+  const { redirect } = rule.action;
+  if (redirect.url) return redirect.url;
+  const target = redirect.extensionPath
+    ? chrome.runtime.getURL(redirect.extensionPath)
+    : url.replace(
+      new RegExp(rule.condition.regexFilter, "i"),
+      redirect.regexSubstitution.replace(/\\(\d)/g, "$$$1")
+    );
+  return `${target}&from=${encodeURIComponent(url)}`;
+}
+
+/**
+ * Rules only act on new navigations, so send open tabs that the new rules
+ * would redirect (sites just added, schedules starting, bypasses or budgets
+ * running out) to where a fresh visit would go. Exceptions and allow rules
+ * are respected the same way as for navigations.
+ */
+async function enforceOnOpenTabs(rules) {
+  let tabs;
+  try {
+    tabs = await chrome.tabs.query({ url: ["http://*/*", "https://*/*"] });
+  } catch (error) {
+    console.error('[Website Blocker] Error listing tabs:', error);
+    return;
+  }
+  for (const tab of tabs) {
+    const rule = findDecidingRule(rules, tab.url);
+    if (!rule || rule.action.type !== "redirect") continue;
+    try {
+      await chrome.tabs.update(tab.id, { url: getRuleRedirectUrl(rule, tab.url) });
+    } catch (error) {
+      // The tab may have closed in the meantime
+      console.warn(`[Website Blocker] Could not redirect tab ${tab.id}:`, error);
+    }
+  }
+}
+
+/**
+ * Bring the declarativeNetRequest dynamic rules in line with the effective
+ * blocklist, adding and removing only the rules that changed. If the new set
+ * would exceed Chrome's rule limits, the subscribed lists' rules are left out
+ * so the user's own rules still apply; if those alone don't fit, the
+ * installed rules are left as they are. The outcome is saved as ruleStatus
+ * for the popup. Open tabs are then checked against the new rules.
+ */
+async function updateRules() {
+  let desired;
+  try {
+    const effective = await getEffectiveBlockedSites();
+    const [rules, installed] = await Promise.all([
+      buildDesiredRules(effective),
+      chrome.declarativeNetRequest.getDynamicRules()
+    ]);
+
+    desired = [...rules.own, ...rules.subscribed];
+    await pruneRuleIds(desired);
+    let limitError = checkRuleLimits(desired);
+    let warning = null;
+    if (limitError && rules.subscribed.length > 0 && !checkRuleLimits(rules.own)) {
+      console.warn('[Website Blocker] Leaving out subscribed lists:', limitError);
+      warning = "Subscribed lists are not applied: together with your own sites they need " +
+        "more rules than Chrome allows. Unsubscribe from a large list.";
+      desired = rules.own;
+      limitError = null;
+    }
+    if (limitError) {
+      console.error('[Website Blocker] Rules not synced:', limitError);
+      await setLocalData({ ruleStatus: { error: limitError, at: Date.now() } });
+      return;
+    }
+
+    const installedById = new Map(installed.map((rule) => [rule.id, rule]));
+    const desiredIds = new Set(desired.map((rule) => rule.id));
+    const addRules = desired.filter((rule) => !ruleMatches(rule, installedById.get(rule.id)));
+    const obsoleteIds = installed.filter((rule) => !desiredIds.has(rule.id)).map((rule) => rule.id);
+    // Changed rules are replaced: removed and re-added under the same ID
+    const removeRuleIds = [
+      ...obsoleteIds,
+      ...addRules.filter((rule) => installedById.has(rule.id)).map((rule) => rule.id)
+    ];
+
+    if (addRules.length > 0 || removeRuleIds.length > 0) {
+      await chrome.declarativeNetRequest.updateDynamicRules({ removeRuleIds, addRules });
+    }
+    await setLocalData({ ruleStatus: { error: warning, ruleCount: desired.length, at: Date.now() } });
+
+    console.log(`[Website Blocker] Rules synced: ${desired.length} rule(s), ` +
+      `${addRules.length} added or changed, ${obsoleteIds.length} removed.`);
+  } catch (error) {
+    console.error('[Website Blocker] Error syncing rules:', error);
+    await setLocalData({
+      ruleStatus: { error: `Blocking rules could not be updated: ${error.message}`, at: Date.now() }
+    });
+    return;
+  }
+  await enforceOnOpenTabs(desired);
+}
+
+// Rule syncs run one at a time, in the order they were requested
+let ruleSyncQueue = Promise.resolve();
+
+/**
+ * Recompute the effective blocklist and sync the dynamic rules with it.
+ * Overlapping calls (storage changes, alarms, messages) are queued so each
+ * sync diffs against the rules the previous one installed.
+ */
+function syncRules() {
+  const sync = ruleSyncQueue.then(updateRules);
+  ruleSyncQueue = sync.catch((error) => {
+    console.error('[Website Blocker] Error syncing rules:', error);
+  });
+  return ruleSyncQueue;
+}
+
+/**
+ * Find the temporarily allowed entry a page depends on: of the unexpired
+ * entries matching its URL, the one that expires first, since the page is
+ * blocked again then. Returns { site, expiresAt }, or null.
+ */
+function findTemporaryAllow(url, temporaryAllows, now) {
+  let found = null;
+  for (const [site, expiresAt] of Object.entries(temporaryAllows)) {
+    if (expiresAt <= now || !entryMatchesUrl(site, url)) continue;
+    if (!found || expiresAt < found.expiresAt) found = { site, expiresAt };
+  }
+  return found;
+}
+
+/**
+ * Count today's blocks (local day, like the stats page's goals) from the
+ * event log.
+ */
+async function countBlocksToday() {
+  const { blockEvents } = await getLocalData({ blockEvents: [] });
+  const today = localDateKey(new Date());
+  return blockEvents.filter((e) => e.type === "block" && localDateKey(new Date(e.at)) === today).length;
+}
+
+/**
+ * Show the minutes left on a bypass on the toolbar badge of each window's
+ * active tab, or else today's block count (blank while it's zero). While any
+ * bypass runs, the "badge" alarm updates the minutes every minute.
+ */
+async function updateBadge() {
+  const [tabs, temporaryAllows, blocksToday] = await Promise.all([
+    chrome.tabs.query({ active: true }),
+    getGrantedAllows(),
+    countBlocksToday()
+  ]);
+  const now = Date.now();
+  const countText = blocksToday > 0 ? String(blocksToday) : "";
+  await chrome.action.setBadgeText({ text: countText });
+  await chrome.action.setBadgeBackgroundColor({ color: BADGE_COUNT_COLOR });
+  for (const tab of tabs) {
+    const allow = tab.url ? findTemporaryAllow(tab.url, temporaryAllows, now) : null;
+    const minutes = allow && Math.ceil((allow.expiresAt - now) / 60000);
+    await chrome.action.setBadgeText({ tabId: tab.id, text: allow ? `${minutes}m` : countText });
+    await chrome.action.setBadgeBackgroundColor({
+      tabId: tab.id,
+      color: allow ? BADGE_ALLOW_COLOR : BADGE_COUNT_COLOR
+    });
+  }
+
+  const running = Object.values(temporaryAllows).some((expiry) => expiry > now);
+  if (running && !(await chrome.alarms.get("badge"))) {
+    await chrome.alarms.create("badge", { periodInMinutes: 1 });
+  } else if (!running) {
+    await chrome.alarms.clear("badge");
+  }
+}
+
+/**
+ * Run updateBadge, logging rather than throwing (e.g. for a tab that closed
+ * meanwhile).
+ */
+function queueBadgeUpdate() {
+  updateBadge().catch((error) => {
+    console.error('[Website Blocker] Error updating badge:', error);
+  });
+}
+
+/**
+ * Schedule the "reblock" alarm for the soonest expiry in temporaryAllows.
+ */
+async function scheduleReblockAlarm() {
+  const data = await getLocalData({ temporaryAllows: {} });
+  const temporaryAllows = data.temporaryAllows || {};
+  const now = Date.now();
+  let soonest = null;
+  for (const domain of Object.keys(temporaryAllows)) {
+    const expiry = temporaryAllows[domain];
+    if (expiry > now && (soonest === null || expiry < soonest)) {
+      soonest = expiry;
+    }
+  }
+  if (soonest !== null) {
+    await chrome.alarms.create("reblock", { when: soonest });
+  } else {
+    await chrome.alarms.clear("reblock");
+  }
+}
+
+/**
+ * Schedule the "schedule" alarm for the next window start or end so rules
+ * are re-synced exactly when a site enters or leaves its blocking window.
+ */
+async function scheduleWindowAlarm() {
+  const data = await getSettings({ siteOptions: {} });
+  const edge = getNextScheduleEdge(data.siteOptions || {}, Date.now());
+  if (edge !== null) {
+    await chrome.alarms.create("schedule", { when: edge });
+  } else {
+    await chrome.alarms.clear("schedule");
+  }
+}
+
+/**
+ * Schedule the "focus" alarm for the end of the current focus or break phase.
+ */
+async function scheduleFocusAlarm() {
+  const session = await getFocusSession();
+  if (session) {
+    await chrome.alarms.create("focus", { when: session.phaseEndsAt });
+  } else {
+    await chrome.alarms.clear("focus");
+  }
+}
+
+/**
+ * Get the usage host of the active tab in the focused browser window, or
+ * null when the browser isn't focused or the tab isn't a web page.
+ */
+async function getActiveUsageHost() {
+  const win = await chrome.windows.getLastFocused();
+  if (!win || !win.focused) return null;
+  const [tab] = await chrome.tabs.query({ active: true, windowId: win.id });
+  return tab && tab.url ? getUsageHost(tab.url) : null;
+}
+
+/**
+ * Credit the time since the last update to the host that was active, start
+ * timing the currently active host, and prune usage older than the retention
+ * window. Re-syncs rules when the set of used-up budgets changes.
+ */
+async function updateUsage() {
+  const now = Date.now();
+  const [{ retentionDays }, data] = await Promise.all([
+    getPreferences(["retentionDays"]),
+    getLocalData({ activeUsage: null, siteUsage: {}, usedUpBudgets: [] })
+  ]);
+  const siteUsage = data.siteUsage;
+
+  if (data.activeUsage) {
+    const elapsed = Math.min(now - data.activeUsage.since, MAX_USAGE_STEP_MS);
+    if (elapsed > 0) {
+      const today = localDateKey(new Date(now));
+      const host = data.activeUsage.host;
+      if (!siteUsage[today]) siteUsage[today] = {};
+      siteUsage[today][host] = (siteUsage[today][host] || 0) + Math.round(elapsed / 1000);
+    }
+  }
+
+  const cutoff = new Date(now);
+  cutoff.setDate(cutoff.getDate() - retentionDays);
+  const cutoffKey = localDateKey(cutoff);
+  for (const day of Object.keys(siteUsage)) {
+    if (day < cutoffKey) delete siteUsage[day];
+  }
+
+  const host = await getActiveUsageHost();
+  await setLocalData({ siteUsage });
+  if (host) {
+    await setLocalData({ activeUsage: { host, since: now } });
+  } else {
+    await removeLocalData("activeUsage");
+  }
+
+  // Budgets run out (or reset at midnight) without any settings change
+  const usedUp = [...await getUsedUpBudgets()].sort();
+  if (usedUp.join("\n") !== data.usedUpBudgets.join("\n")) {
+    await setLocalData({ usedUpBudgets: usedUp });
+    await syncRules();
+  }
+}
+
+// Usage updates are chained so overlapping tab/window events don't race
+let usageQueue = Promise.resolve();
+
+function queueUsageUpdate() {
+  usageQueue = usageQueue.then(updateUsage).catch((error) => {
+    console.error('[Website Blocker] Error tracking usage:', error);
+  });
+}
+
+/**
+ * Make sure the once-a-minute "usage" alarm exists; it keeps usage counted
+ * (and budgets enforced) while the user stays on one page.
+ */
+async function ensureUsageAlarm() {
+  const alarm = await chrome.alarms.get("usage");
+  if (!alarm) {
+    await chrome.alarms.create("usage", { periodInMinutes: 1 });
+  }
+}
+
+/**
+ * List the entries of the subscribed lists (subscriptions in sync storage)
+ * from their last fetched copies in subscriptionData.
+ */
+function getSubscribedEntries(subscriptions, subscriptionData) {
+  return subscriptions.flatMap((url) =>
+    (subscriptionData[url] && subscriptionData[url].entries) || []
+  );
+}
+
+/**
+ * Fetch a subscribed list, sending the validators of the cached copy so an
+ * unchanged list costs a 304. Returns the new subscriptionData record; throws
+ * an Error with a user-facing message if the list can't be fetched or read.
+ */
+async function fetchSubscription(url, cached) {
+  const headers = {};
+  if (cached.etag) headers["If-None-Match"] = cached.etag;
+  if (cached.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+  let response;
+  try {
+    // Bypass the HTTP cache so the server sees (and answers) our validators
+    response = await fetch(url, { headers, cache: "no-store", credentials: "omit" });
+  } catch (error) {
+    throw new Error("Could not reach the server");
+  }
+  const now = Date.now();
+  if (response.status === 304 && cached.entries) {
+    return { ...cached, checkedAt: now, error: null };
+  }
+  if (!response.ok) throw new Error(`Server answered ${response.status}`);
+
+  const text = await response.text();
+  if (text.length > SUBSCRIPTION_MAX_CHARS) throw new Error("List is too large");
+  return {
+    entries: await parseSubscribedList(text),
+    etag: response.headers.get("ETag"),
+    lastModified: response.headers.get("Last-Modified"),
+    updatedAt: now,
+    checkedAt: now,
+    error: null
+  };
+}
+
+/**
+ * Fetch the subscribed lists into subscriptionData (all of them, or with
+ * onlyNew just those never fetched) and drop the data of removed ones. A
+ * list that fails keeps its last good entries and records the error for the
+ * popup. Rules are re-synced when the subscribed entries changed.
+ */
+async function refreshSubscriptions(onlyNew) {
+  const [{ subscriptions }, { subscriptionData }] = await Promise.all([
+    getSettings({ subscriptions: [] }),
+    getLocalData({ subscriptionData: {} })
+  ]);
+
+  const refreshed = {};
+  for (const url of subscriptions) {
+    const cached = subscriptionData[url] || {};
+    if (onlyNew && subscriptionData[url]) {
+      refreshed[url] = cached;
+      continue;
+    }
+    try {
+      refreshed[url] = await fetchSubscription(url, cached);
+    } catch (error) {
+      console.warn(`[Website Blocker] Could not refresh subscription ${url}:`, error.message);
+      refreshed[url] = { ...cached, checkedAt: Date.now(), error: error.message };
+    }
+  }
+  await setLocalData({ subscriptionData: refreshed });
+
+  const before = getSubscribedEntries(Object.keys(subscriptionData), subscriptionData);
+  const after = getSubscribedEntries(subscriptions, refreshed);
+  if (JSON.stringify(before) !== JSON.stringify(after)) await syncRules();
+}
+
+// Subscription refreshes are chained so a list is never fetched twice at once
+let subscriptionQueue = Promise.resolve();
+
+/**
+ * Refresh the subscribed lists after the refreshes queued before. Returns
+ * the refresh's own promise, so callers see its errors.
+ */
+function queueSubscriptionRefresh(onlyNew = false) {
+  const run = subscriptionQueue.then(() => refreshSubscriptions(onlyNew));
+  subscriptionQueue = run.catch(() => {});
+  return run;
+}
+
+/**
+ * Make sure the periodic "subscriptions" alarm that refreshes subscribed
+ * lists exists.
+ */
+async function ensureSubscriptionAlarm() {
+  const alarm = await chrome.alarms.get("subscriptions");
+  if (!alarm) {
+    await chrome.alarms.create("subscriptions", { periodInMinutes: SUBSCRIPTION_REFRESH_MINUTES });
+  }
+}
+
+/**
+ * Count block and bypass events per local day:
+ * { "YYYY-MM-DD": { blocks, bypasses } }.
+ */
+function countEventsByDay(events) {
+  const counts = {};
+  for (const event of events) {
+    if (event.type !== "block" && event.type !== "bypass") continue;
+    const key = localDateKey(new Date(event.at));
+    if (!counts[key]) counts[key] = { blocks: 0, bypasses: 0 };
+    counts[key][event.type === "block" ? "blocks" : "bypasses"] += 1;
+  }
+  return counts;
+}
+
+/**
+ * Return a copy of a date moved by a number of days, at noon so stepping
+ * across daylight saving changes can't skip or repeat a day.
+ */
+function addDays(date, days) {
+  const moved = new Date(date);
+  moved.setHours(12, 0, 0, 0);
+  moved.setDate(moved.getDate() + days);
+  return moved;
+}
+
+/**
+ * Find the longest run of passed days in a goal's history.
+ */
+function longestPassedRun(history) {
+  let best = 0;
+  let run = 0;
+  for (const key of Object.keys(history).sort()) {
+    run = history[key].passed ? run + 1 : 0;
+    best = Math.max(best, run);
+  }
+  return best;
+}
+
+/**
+ * Score every goal's finished days (up to yesterday) that haven't been scored
+ * yet, counting blocks and bypasses from the event log, then update its
+ * current and best streaks. Days a goal doesn't apply to aren't scored and
+ * don't break a streak. Results are saved to goalProgress:
+ * { [goalId]: { history: { "YYYY-MM-DD": { count, passed } }, current, best, scoredThrough } }
+ */
+async function evaluateGoals() {
+  const [{ goals }, { retentionDays }, { blockEvents, goalProgress }] = await Promise.all([
+    getSettings({ goals: [] }),
+    getPreferences(["retentionDays"]),
+    getLocalData({ blockEvents: [], goalProgress: {} })
+  ]);
+  const counts = countEventsByDay(blockEvents);
+  const now = new Date();
+  const yesterday = addDays(now, -1);
+  // Older days have no events left to count
+  const earliest = addDays(now, -retentionDays);
+  const historyCutoff = localDateKey(addDays(now, -GOAL_HISTORY_DAYS));
+
+  const progress = {};
+  for (const goal of goals) {
+    const record = goalProgress[goal.id] || { history: {}, current: 0, best: 0, scoredThrough: null };
+    let day = record.scoredThrough
+      ? addDays(new Date(record.scoredThrough), 1)
+      : addDays(new Date(goal.createdAt), 0);
+    if (day < earliest) day = earliest;
+    for (; day <= yesterday; day = addDays(day, 1)) {
+      if (!goalAppliesOn(goal, day)) continue;
+      const key = localDateKey(day);
+      const count = (counts[key] && counts[key][goal.metric]) || 0;
+      record.history[key] = { count, passed: count < goal.below };
+    }
+    if (!record.scoredThrough || record.scoredThrough < yesterday.getTime()) {
+      record.scoredThrough = yesterday.getTime();
+    }
+
+    for (const key of Object.keys(record.history)) {
+      if (key < historyCutoff) delete record.history[key];
+    }
+    const keys = Object.keys(record.history).sort().reverse();
+    const firstFailure = keys.findIndex((key) => !record.history[key].passed);
+    record.current = firstFailure === -1 ? keys.length : firstFailure;
+    record.best = Math.max(record.best, longestPassedRun(record.history));
+    progress[goal.id] = record;
+  }
+  // Progress of removed goals is dropped with them
+  await setLocalData({ goalProgress: progress });
+}
+
+/**
+ * Make sure the hourly "goals" alarm exists; it scores each day soon after
+ * it ends.
+ */
+async function ensureGoalAlarm() {
+  const alarm = await chrome.alarms.get("goals");
+  if (!alarm) {
+    await chrome.alarms.create("goals", { periodInMinutes: 60 });
+  }
+}
+
+/**
+ * Schedule the "weekly-summary" alarm for the next Monday at 09:00, unless
+ * it is already set.
+ */
+async function scheduleWeeklySummaryAlarm() {
+  if (await chrome.alarms.get("weekly-summary")) return;
+  const next = new Date();
+  next.setHours(WEEKLY_SUMMARY_HOUR, 0, 0, 0);
+  next.setDate(next.getDate() + ((WEEKLY_SUMMARY_DAY - next.getDay() + 7) % 7));
+  if (next <= new Date()) next.setDate(next.getDate() + 7);
+  await chrome.alarms.create("weekly-summary", { when: next.getTime() });
+}
+
+/**
+ * Describe how a count changed since last week, e.g. "down 12 from 40".
+ */
+function describeChange(current, previous) {
+  if (current === previous) return "same as last week";
+  const direction = current < previous ? "down" : "up";
+  return `${direction} ${Math.abs(current - previous)} from ${previous}`;
+}
+
+/**
+ * Show a notification comparing the last seven days with the seven before:
+ * blocks, bypasses and how many goal days were met. Skipped when the user
+ * turned the summary off.
+ */
+async function sendWeeklySummary() {
+  const [{ goals }, { weeklySummary }, { blockEvents, goalProgress }] = await Promise.all([
+    getSettings({ goals: [] }),
+    getPreferences(["weeklySummary"]),
+    getLocalData({ blockEvents: [], goalProgress: {} })
+  ]);
+  if (!weeklySummary) return;
+
+  const counts = countEventsByDay(blockEvents);
+  const weekKeys = (weeksAgo) =>
+    Array.from({ length: 7 }, (_, i) => localDateKey(addDays(new Date(), -1 - i - 7 * weeksAgo)));
+  const totals = (keys) => keys.reduce((sum, key) => ({
+    blocks: sum.blocks + ((counts[key] && counts[key].blocks) || 0),
+    bypasses: sum.bypasses + ((counts[key] && counts[key].bypasses) || 0)
+  }), { blocks: 0, bypasses: 0 });
+  const thisWeekKeys = weekKeys(0);
+  const thisWeek = totals(thisWeekKeys);
+  const lastWeek = totals(weekKeys(1));
+
+  const lines = ["blocks", "bypasses"].map((metric) => {
+    const count = thisWeek[metric];
+    const name = GOAL_METRIC_NAMES[metric][count === 1 ? 0 : 1];
+    return `${count} ${name} (${describeChange(count, lastWeek[metric])})`;
+  });
+  let scored = 0;
+  let passed = 0;
+  for (const goal of goals) {
+    const history = (goalProgress[goal.id] && goalProgress[goal.id].history) || {};
+    for (const key of thisWeekKeys) {
+      if (!history[key]) continue;
+      scored += 1;
+      if (history[key].passed) passed += 1;
+    }
+  }
+  if (scored > 0) lines.push(`Goals met on ${passed} of ${scored} goal days`);
+
+  await chrome.notifications.create("weekly-summary", {
+    type: "basic",
+    iconUrl: "icons/icon128.png",
+    title: "Your week with Website Blocker",
+    message: lines.join("\n"),
+    priority: 0
+  });
+}
+
+/**
+ * Read the bypass settings, filling in defaults for anything unset (see
+ * PREFERENCE_SCHEMA in preferences.js).
+ */
+async function getBypassSettings() {
+  const { bypassSettings } = await getPreferences(["bypassSettings"]);
+  return bypassSettings;
+}
+
+/**
+ * Turn the site sent by the blocked page into the entry it stands for.
+ * Bare domains are normalized the same way the popup does; other entry
+ * types are passed through. Returns null for unusable input.
+ */
+function normalizeBypassSite(site) {
+  if (typeof site !== "string") return null;
+  let entry = site.trim();
+  if (parseSiteEntry(entry).type === "domain") entry = normalizeDomain(entry);
+  return entry && !/\s/.test(entry) ? entry : null;
+}
+
+/**
+ * Check an entry's past bypasses against the daily limit and cooldown.
+ * Returns a refusal ({ error, retryAt? }) or null when a bypass is allowed.
+ */
+function checkBypassLimits(timestamps, settings, now) {
+  const today = localDateKey(new Date(now));
+  const usedToday = timestamps.filter((t) => localDateKey(new Date(t)) === today).length;
+  if (settings.maxPerDay > 0 && usedToday >= settings.maxPerDay) {
+    return { error: `No bypasses left today (limit ${settings.maxPerDay})` };
+  }
+  if (settings.cooldownMinutes > 0 && timestamps.length > 0) {
+    const retryAt = Math.max(...timestamps) + settings.cooldownMinutes * 60 * 1000;
+    if (retryAt > now) return { error: "Cooling down", retryAt };
+  }
+  return null;
+}
+
+/**
+ * Normalize a challenge answer for comparison: trimmed, with runs of
+ * whitespace collapsed to one space.
+ */
+function normalizeChallengeAnswer(text) {
+  return String(text || "").trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Hash a challenge's answer (SHA-256, hex) together with the challenge id,
+ * so that stored challenges never hold the answer itself.
+ */
+async function hashChallengeAnswer(id, answer) {
+  const data = new TextEncoder().encode(`${id}\n${normalizeChallengeAnswer(answer)}`);
+  const digest = await crypto.subtle.digest("SHA-256", data);
+  return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+/**
+ * Create the friction challenge that must be passed before a bypass:
+ * nothing, a countdown, a passage to retype or a multiplication to solve.
+ * Challenges with an answer keep only its hash (answerHash).
+ */
+async function createBypassChallenge(entry, settings, now) {
+  const challenge = {
+    id: crypto.randomUUID(),
+    site: entry,
+    type: settings.friction,
+    issuedAt: now,
+    readyAt: now
+  };
+  if (settings.friction === "countdown") {
+    challenge.readyAt = now + settings.countdownSeconds * 1000;
+  } else if (settings.friction === "typing") {
+    const passage = BYPASS_PASSAGES[Math.floor(Math.random() * BYPASS_PASSAGES.length)];
+    challenge.prompt = passage;
+    challenge.answerHash = await hashChallengeAnswer(challenge.id, passage);
+  } else if (settings.friction === "math") {
+    const a = 12 + Math.floor(Math.random() * 18);
+    const b = 3 + Math.floor(Math.random() * 7);
+    challenge.prompt = `${a} \u00d7 ${b}`;
+    challenge.answerHash = await hashChallengeAnswer(challenge.id, String(a * b));
+  }
+  return challenge;
+}
+
+/**
+ * Check a submitted challenge. Resolves to a failure ({ error, retry }) or
+ * null if passed; retry means the same challenge may be answered again.
+ */
+async function verifyBypassChallenge(challenge, entry, answer, now) {
+  if (!challenge || challenge.site !== entry) {
+    return { error: "Challenge expired, try again", retry: false };
+  }
+  if (now < challenge.readyAt) {
+    return { error: "Wait for the countdown to finish", retry: true };
+  }
+  if (challenge.type === "typing" || challenge.type === "math") {
+    if (await hashChallengeAnswer(challenge.id, answer) !== challenge.answerHash) {
+      return { error: "That's not right", retry: true };
+    }
+  }
+  return null;
+}
+
+/**
+ * Drop challenges that were never completed.
+ */
+function pruneBypassChallenges(challenges, now) {
+  const pruned = {};
+  for (const [id, challenge] of Object.entries(challenges)) {
+    if (now - challenge.issuedAt < BYPASS_CHALLENGE_TTL_MS) pruned[id] = challenge;
+  }
+  return pruned;
+}
+
+/**
+ * Drop bypass timestamps older than any limit or cooldown can look back.
+ */
+function pruneBypassLog(bypassLog, now) {
+  const cutoff = now - BYPASS_LOG_RETENTION_MS;
+  const pruned = {};
+  for (const [entry, timestamps] of Object.entries(bypassLog)) {
+    const recent = timestamps.filter((t) => t > cutoff);
+    if (recent.length > 0) pruned[entry] = recent;
+  }
+  return pruned;
+}
+
+/**
+ * Validate the page a bypass should return to: only an http(s) URL covered by
+ * the entry being allowed. Returns null otherwise.
+ */
+function getReturnUrl(entry, returnUrl) {
+  if (typeof returnUrl !== "string" || !/^https?:\/\//.test(returnUrl)) return null;
+  return entryMatchesUrl(entry, returnUrl) ? returnUrl : null;
+}
+
+/**
+ * Read strict mode from storage; null unless it is on right now.
+ */
+async function getStrictMode() {
+  const { strictMode } = await getLocalData({ strictMode: null });
+  return strictMode && strictMode.until > Date.now() ? strictMode : null;
+}
+
+/**
+ * Message used to refuse anything strict mode forbids.
+ */
+function strictRefusal(strictMode) {
+  return `Strict mode is on until ${new Date(strictMode.until).toLocaleString()}`;
+}
+
+/**
+ * Keep the unexpired temporary allows that the allowTemporarily handler
+ * granted: each expires exactly one offered duration after a bypass in
+ * bypassLog. While strict mode is on, only bypasses from before the lock
+ * count, since none are granted during it.
+ */
+function filterGrantedAllows(temporaryAllows, bypassLog, strictMode, now) {
+  const durations = PREFERENCE_SCHEMA.bypassSettings.fields.durations.item.choices;
+  const granted = {};
+  for (const [entry, expiresAt] of Object.entries(temporaryAllows)) {
+    if (!(expiresAt > now)) continue;
+    const grant = (bypassLog[entry] || []).find((grantedAt) =>
+      durations.includes((expiresAt - grantedAt) / 60000) &&
+      (!strictMode || grantedAt <= strictMode.startedAt)
+    );
+    if (grant !== undefined) granted[entry] = expiresAt;
+  }
+  return granted;
+}
+
+/**
+ * Read the temporary allows in effect (see filterGrantedAllows).
+ */
+async function getGrantedAllows() {
+  const [{ temporaryAllows, bypassLog }, strictMode] = await Promise.all([
+    getLocalData({ temporaryAllows: {}, bypassLog: {} }),
+    getStrictMode()
+  ]);
+  return filterGrantedAllows(temporaryAllows, bypassLog, strictMode, Date.now());
+}
+
+/**
+ * Read when the global pause ends; null unless blocking is paused right now.
+ * Strict mode refuses pauses, so a pause written during it doesn't count.
+ */
+async function getPausedUntil() {
+  const [{ pausedUntil }, strictMode] = await Promise.all([
+    getLocalData({ pausedUntil: null }),
+    getStrictMode()
+  ]);
+  if (strictMode) return null;
+  return pausedUntil && pausedUntil > Date.now() ? pausedUntil : null;
+}
+
+/**
+ * Pause all blocking for some minutes: the rules are removed until the
+ * "resume" alarm brings them back. Refused in strict mode; returns the
+ * refusal message, or null once paused.
+ */
+async function pauseBlocking(minutes) {
+  const strictMode = await getStrictMode();
+  if (strictMode) return strictRefusal(strictMode);
+  const pausedUntil = Date.now() + minutes * 60 * 1000;
+  await setLocalData({ pausedUntil });
+  await chrome.alarms.create("resume", { when: pausedUntil });
+  await syncRules();
+  return null;
+}
+
 /**
- * Get or create a unique rule ID for a domain.
- * Uses a persistent mapping in storage to prevent collisions.
+ * End the global pause and bring the rules back.
  */
-async function getDomainRuleId(domain) {
-  try {
-    const data = await chrome.storage.local.get({ 
-      domainIdMap: {}, 
-      nextRuleId: 1 
-    });
-    
-    // If this domain already has an ID, return it
-    if (data.domainIdMap[domain]) {
-      return data.domainIdMap[domain];
-    }
-    
-    // Otherwise, assign the next available ID
-    const newId = data.nextRuleId;
-    data.domainIdMap[domain] = newId;
-    data.nextRuleId = newId + 1;
-    
-    await chrome.storage.local.set({
-      domainIdMap: data.domainIdMap,
-      nextRuleId: data.nextRuleId
-    });
-    
-    return newId;
-  } catch (error) {
-    console.error('[Website Blocker] Error getting rule ID:', error);
-    // Fallback to a basic hash if storage fails
-    let hash = 0;
-    for (let i = 0; i < domain.length; i++) {
-      hash = (hash * 31 + domain.charCodeAt(i)) | 0;
-    }
-    return (Math.abs(hash) % (1 << 30)) + 1;
-  }
+async function resumeBlocking() {
+  await removeLocalData("pausedUntil");
+  await chrome.alarms.clear("resume");
+  await syncRules();
 }
 
 /**
- * Build a declarativeNetRequest redirect rule for a given domain.
+ * Read the settings strict mode protects, with the group of every blocklist
+ * entry (entryGroups) in place of siteGroups.
  */
-function buildRule(domain, ruleId) {
-  return {
-    id: ruleId,
-    priority: 1,
-    action: {
-      type: "redirect",
-      redirect: {
-        extensionPath: `/blocked.html?site=${encodeURIComponent(domain)}`
-      }
-    },
-    condition: {
-      // Use ^^ to match domain boundary (prevents subdomain false positives)
-      urlFilter: `||${domain}^`,
-      resourceTypes: ["main_frame"]
-    }
-  };
+async function takeStrictSnapshot() {
+  const { siteGroups, ...snapshot } = await getSettings({
+    blockedSites: [],
+    subscriptions: [],
+    blockedKeywords: [],
+    siteOptions: {},
+    allowedSites: [],
+    blockMode: "blocklist",
+    ...PROFILE_DEFAULTS
+  });
+  snapshot.entryGroups = Object.fromEntries(snapshot.blockedSites.map((entry) =>
+    [entry, getEntryGroup(entry, { ...snapshot, siteGroups })]
+  ));
+  return snapshot;
 }
 
 /**
- * Get blockedSites minus any domain that is temporarily allowed (and not expired).
- * Prunes expired entries from temporaryAllows and persists.
+ * Undo sync storage changes that strict mode forbids: restore removed
+ * blocklist entries, subscriptions and keywords, move entries back to their
+ * groups and revert changes to frozen settings. Items added during the lock
+ * become part of the protected lists.
  */
-async function getEffectiveBlockedSites() {
-  const [syncData, localData] = await Promise.all([
-    chrome.storage.sync.get({ blockedSites: [] }),
-    chrome.storage.local.get({ temporaryAllows: {} })
-  ]);
-  const blockedSites = syncData.blockedSites || [];
-  let temporaryAllows = localData.temporaryAllows || {};
-  const now = Date.now();
+async function enforceStrictMode(changes) {
+  const strictMode = await getStrictMode();
+  if (!strictMode) return;
+  const snapshot = strictMode.snapshot;
+  const restore = {};
 
-  // Prune expired entries
-  const pruned = { ...temporaryAllows };
-  let changed = false;
-  for (const domain of Object.keys(pruned)) {
-    if (pruned[domain] <= now) {
-      delete pruned[domain];
-      changed = true;
+  for (const key of STRICT_GROWING_KEYS) {
+    if (!changes[key]) continue;
+    const current = changes[key].newValue || [];
+    // Locks started before subscriptions existed have none in their snapshot
+    const locked = snapshot[key] || [];
+    const protectedItems = [...new Set([...locked, ...current])].sort();
+    if (protectedItems.length !== current.length) {
+      restore[key] = protectedItems;
+    }
+    if (protectedItems.length !== locked.length) {
+      snapshot[key] = protectedItems;
+      await setLocalData({ strictMode });
     }
   }
-  if (changed) {
-    temporaryAllows = pruned;
-    await chrome.storage.local.set({ temporaryAllows });
+  if (changes.blockedKeywords) {
+    // Keywords from the snapshot keep their options; new ones are added
+    const current = changes.blockedKeywords.newValue || [];
+    const locked = snapshot.blockedKeywords || [];
+    const lockedWords = new Set(locked.map((item) => item.keyword));
+    const protectedKeywords = [
+      ...locked,
+      ...current.filter((item) => !lockedWords.has(item.keyword))
+    ].sort((a, b) => a.keyword.localeCompare(b.keyword));
+    if (JSON.stringify(protectedKeywords) !== JSON.stringify(current)) {
+      restore.blockedKeywords = protectedKeywords;
+    }
+    if (protectedKeywords.length !== locked.length) {
+      snapshot.blockedKeywords = protectedKeywords;
+      await setLocalData({ strictMode });
+    }
+  }
+  // Protected entries stay in their group; entries added during the lock
+  // are protected in the group they were added to. Locks started before
+  // groups existed don't track them.
+  if (snapshot.entryGroups && (changes.blockedSites || changes.siteGroups)) {
+    const { siteGroups } = changes.siteGroups
+      ? { siteGroups: changes.siteGroups.newValue || {} }
+      : await getSettings({ siteGroups: {} });
+    let grown = false;
+    for (const entry of snapshot.blockedSites) {
+      if (!(entry in snapshot.entryGroups)) {
+        snapshot.entryGroups[entry] = siteGroups[entry] || DEFAULT_GROUP_ID;
+        grown = true;
+      }
+    }
+    const protectedGroups = { ...siteGroups };
+    for (const [entry, group] of Object.entries(snapshot.entryGroups)) {
+      if (group === DEFAULT_GROUP_ID) {
+        delete protectedGroups[entry];
+      } else {
+        protectedGroups[entry] = group;
+      }
+    }
+    if (JSON.stringify(protectedGroups) !== JSON.stringify(siteGroups)) {
+      restore.siteGroups = protectedGroups;
+    }
+    if (grown) await setLocalData({ strictMode });
+  }
+  for (const key of STRICT_FROZEN_KEYS) {
+    // Locks started before profiles existed have none in their snapshot
+    if (!(key in snapshot)) continue;
+    if (changes[key] && JSON.stringify(changes[key].newValue) !== JSON.stringify(snapshot[key])) {
+      restore[key] = snapshot[key];
+    }
   }
 
-  return blockedSites.filter((domain) => !(temporaryAllows[domain] > now));
+  if (Object.keys(restore).length > 0) {
+    console.warn('[Website Blocker] Strict mode: restoring', Object.keys(restore).join(", "));
+    await setSettings(restore);
+  }
 }
 
 /**
- * Sync the declarativeNetRequest dynamic rules with the current blockedSites list.
+ * Undo local storage edits that would start bypasses or a pause during
+ * strict mode, which refuses both: temporary allows that are new or run
+ * longer than before are dropped, and a pause is removed.
  */
-async function syncRules(blockedSites) {
-  try {
-    // Get all existing dynamic rules
-    const existingRules = await chrome.declarativeNetRequest.getDynamicRules();
-    const existingIds = existingRules.map((r) => r.id);
-
-    // Build the new set of rules with collision-resistant IDs
-    const newRules = await Promise.all(
-      blockedSites.map(async (domain) => {
-        const ruleId = await getDomainRuleId(domain);
-        return buildRule(domain, ruleId);
-      })
-    );
+async function revertStrictLocalChanges(changes) {
+  if (!(await getStrictMode())) return;
+  if (changes.pausedUntil && changes.pausedUntil.newValue) {
+    console.warn('[Website Blocker] Strict mode: removing pause');
+    await removeLocalData("pausedUntil");
+    await chrome.alarms.clear("resume");
+  }
+  if (changes.temporaryAllows) {
+    const previous = changes.temporaryAllows.oldValue || {};
+    const current = changes.temporaryAllows.newValue || {};
+    const kept = Object.fromEntries(Object.entries(current).filter(([entry, expiresAt]) =>
+      previous[entry] >= expiresAt
+    ));
+    if (Object.keys(kept).length !== Object.keys(current).length) {
+      console.warn('[Website Blocker] Strict mode: reverting temporary allows');
+      await setLocalData({ temporaryAllows: kept });
+    }
+  }
+}
 
-    // Remove all existing rules, then add the new ones
-    await chrome.declarativeNetRequest.updateDynamicRules({
-      removeRuleIds: existingIds,
-      addRules: newRules
+// Listen for changes to storage: enforce strict mode and re-sync rules
+onStorageChanged((changes, area) => {
+  if (area === "sync") {
+    enforceStrictMode(changes).catch((error) => {
+      console.error('[Website Blocker] Error enforcing strict mode:', error);
     });
-
-    console.log(
-      `[Website Blocker] Rules synced: ${newRules.length} site(s) blocked.`
-    );
-  } catch (error) {
-    console.error('[Website Blocker] Error syncing rules:', error);
   }
-}
 
-/**
- * Schedule the "reblock" alarm for the soonest expiry in temporaryAllows.
- */
-async function scheduleReblockAlarm() {
-  const data = await chrome.storage.local.get({ temporaryAllows: {} });
-  const temporaryAllows = data.temporaryAllows || {};
-  const now = Date.now();
-  let soonest = null;
-  for (const domain of Object.keys(temporaryAllows)) {
-    const expiry = temporaryAllows[domain];
-    if (expiry > now && (soonest === null || expiry < soonest)) {
-      soonest = expiry;
+  // Strict mode can't be ended or shortened by editing storage
+  if (area === "local" && changes.strictMode) {
+    const previous = changes.strictMode.oldValue;
+    const next = changes.strictMode.newValue;
+    if (previous && previous.until > Date.now() && (!next || next.until < previous.until)) {
+      setLocalData({ strictMode: previous }).catch((error) => {
+        console.error('[Website Blocker] Error restoring strict mode:', error);
+      });
     }
   }
-  if (soonest !== null) {
-    await chrome.alarms.create("reblock", { when: soonest });
-  } else {
-    await chrome.alarms.clear("reblock");
+  if (area === "local" && (changes.temporaryAllows || changes.pausedUntil)) {
+    revertStrictLocalChanges(changes).catch((error) => {
+      console.error('[Website Blocker] Error enforcing strict mode:', error);
+    });
+  }
+
+  // Bypasses starting or ending, and new blocks, change the badge
+  if (area === "local" && (changes.temporaryAllows || changes.blockEvents)) {
+    queueBadgeUpdate();
+  }
+
+  // Fetch newly subscribed lists; their rules follow once they arrive
+  if (area === "sync" && changes.subscriptions) {
+    queueSubscriptionRefresh(true).catch((error) => {
+      console.error('[Website Blocker] Error refreshing subscriptions:', error);
+    });
   }
-}
 
-// Listen for changes to storage and re-sync rules
-chrome.storage.onChanged.addListener((changes, area) => {
-  if (area === "sync" && changes.blockedSites) {
-    getEffectiveBlockedSites()
-      .then(syncRules)
+  // Score new goals right away so the stats page can show their history
+  if (area === "sync" && changes.goals) {
+    evaluateGoals().catch((error) => {
+      console.error('[Website Blocker] Error scoring goals:', error);
+    });
+  }
+
+  if (area === "sync" && (
+    changes.blockedSites || changes.siteOptions ||
+    changes.allowedSites || changes.blockMode || changes.productiveDestination ||
+    changes.blockedKeywords || changes.siteGroups || changes.blockGroups ||
+    changes.profiles || changes.activeProfile
+  )) {
+    syncRules()
+      .then(scheduleWindowAlarm)
       .catch((error) => {
         console.error('[Website Blocker] Error in storage change listener:', error);
       });
   }
 });
 
-// On install / update, sync rules from current storage
+// Apply a new retention window to the history kept so far. Other preferences
+// are read when they are used.
+onPreferencesChanged((values) => {
+  if (values.retentionDays) {
+    pruneHistory(values.retentionDays).catch((error) => {
+      console.error('[Website Blocker] Error pruning history:', error);
+    });
+    queueUsageUpdate();
+  }
+});
+
+// On install / update, upgrade the storage layout, then sync rules from it
 chrome.runtime.onInstalled.addListener(async () => {
   try {
-    const effective = await getEffectiveBlockedSites();
-    await syncRules(effective);
+    await migrateStorage();
+    await syncRules();
+    await scheduleWindowAlarm();
+    await queueSubscriptionRefresh(true);
   } catch (error) {
     console.error('[Website Blocker] Error on install:', error);
   }
 });
 
 // Also sync on service worker startup (covers browser restart)
-getEffectiveBlockedSites()
-  .then(syncRules)
+syncRules()
+  .then(scheduleWindowAlarm)
+  .then(scheduleFocusAlarm)
+  .then(ensureUsageAlarm)
+  .then(ensureSubscriptionAlarm)
+  .then(ensureGoalAlarm)
+  .then(scheduleWeeklySummaryAlarm)
+  .then(evaluateGoals)
+  .then(updateBadge)
   .catch((error) => {
     console.error('[Website Blocker] Error on startup:', error);
   });
 
-// Message from blocked page: allow this site for 5 minutes
+// Messages from blocked page: start a bypass (limits, intent, friction challenge),
+// then allow the site for one of the configured durations
 chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
-  if (message.action !== "allowFiveMinutes" || typeof message.site !== "string") {
-    return;
+  if (message.action === "startBypass") {
+    const entry = normalizeBypassSite(message.site);
+    if (!entry) {
+      sendResponse({ ok: false, error: "Invalid site" });
+      return true;
+    }
+    (async () => {
+      try {
+        const strictMode = await getStrictMode();
+        if (strictMode) {
+          sendResponse({ ok: false, error: strictRefusal(strictMode) });
+          return;
+        }
+        const now = Date.now();
+        const [settings, localData] = await Promise.all([
+          getBypassSettings(),
+          getLocalData({ bypassLog: {}, bypassChallenges: {} })
+        ]);
+        const refusal = checkBypassLimits(localData.bypassLog[entry] || [], settings, now);
+        if (refusal) {
+          sendResponse({ ok: false, ...refusal });
+          return;
+        }
+        const intent = typeof message.intent === "string"
+          ? message.intent.trim().slice(0, INTENT_MAX_LENGTH)
+          : "";
+        if (settings.askIntent && !intent) {
+          sendResponse({ ok: false, error: "Say why you're visiting first" });
+          return;
+        }
+
+        // The stated intent is journaled with the bypass once it's granted
+        const challenge = await createBypassChallenge(entry, settings, now);
+        if (intent) challenge.intent = intent;
+        const challenges = pruneBypassChallenges(localData.bypassChallenges, now);
+        challenges[challenge.id] = challenge;
+        await setLocalData({ bypassChallenges: challenges });
+
+        // Storage only holds a hash of the answer; the page only gets the prompt
+        const { id, type, readyAt, prompt } = challenge;
+        sendResponse({ ok: true, challenge: { id, type, readyAt, prompt } });
+      } catch (error) {
+        console.error('[Website Blocker] Error starting bypass:', error);
+        sendResponse({ ok: false, error: String(error) });
+      }
+    })();
+    return true;
   }
-  const raw = message.site.trim().toLowerCase();
-  const domain = raw
-    .replace(/^https?:\/\//, "")
-    .replace(/^www\./, "")
-    .split(":")[0]
-    .split("/")[0]
-    .split("?")[0]
-    .split("#")[0];
-  if (!domain || domain.includes("/") || domain.includes(" ")) {
-    sendResponse({ ok: false, error: "invalid domain" });
+
+  if (message.action !== "allowTemporarily") return;
+  const entry = normalizeBypassSite(message.site);
+  if (!entry) {
+    sendResponse({ ok: false, error: "Invalid site" });
     return true;
   }
   (async () => {
     try {
-      const data = await chrome.storage.local.get({ temporaryAllows: {} });
-      const temporaryAllows = data.temporaryAllows || {};
-      const expiry = Date.now() + 5 * 60 * 1000;
-      temporaryAllows[domain] = expiry;
-      await chrome.storage.local.set({ temporaryAllows });
+      const strictMode = await getStrictMode();
+      if (strictMode) {
+        sendResponse({ ok: false, error: strictRefusal(strictMode) });
+        return;
+      }
+      const now = Date.now();
+      const [settings, localData] = await Promise.all([
+        getBypassSettings(),
+        getLocalData({ temporaryAllows: {}, bypassLog: {}, bypassChallenges: {} })
+      ]);
+      if (!settings.durations.includes(message.minutes)) {
+        sendResponse({ ok: false, error: "That duration isn't allowed" });
+        return;
+      }
+
+      const challenges = pruneBypassChallenges(localData.bypassChallenges, now);
+      const challenge = challenges[message.challengeId];
+      const failure = await verifyBypassChallenge(challenge, entry, message.answer, now);
+      if (failure) {
+        sendResponse({ ok: false, ...failure });
+        return;
+      }
+      const refusal = checkBypassLimits(localData.bypassLog[entry] || [], settings, now);
+      if (refusal) {
+        sendResponse({ ok: false, ...refusal });
+        return;
+      }
+
+      delete challenges[challenge.id];
+      const bypassLog = pruneBypassLog(localData.bypassLog, now);
+      bypassLog[entry] = [...(bypassLog[entry] || []), now];
+      const temporaryAllows = localData.temporaryAllows || {};
+      temporaryAllows[entry] = now + message.minutes * 60 * 1000;
+      await setLocalData({
+        temporaryAllows,
+        bypassLog,
+        bypassChallenges: challenges
+      });
+      const event = { type: "bypass", site: entry, at: now, minutes: message.minutes };
+      if (challenge.intent) event.intent = challenge.intent;
+      await recordEvents([event]);
       await scheduleReblockAlarm();
-      const effective = await getEffectiveBlockedSites();
-      await syncRules(effective);
-      // Navigate from background so the request uses the updated rules
+      await syncRules();
+      // Navigate from background so the request uses the updated rules:
+      // back to the page a blocked open tab was on, or else to the entry.
+      // Regex entries have no single URL to return to.
+      const url = getReturnUrl(entry, message.returnUrl) || getEntryUrl(entry);
       const tabId = sender.tab?.id;
-      if (tabId) {
-        await chrome.tabs.update(tabId, { url: "https://" + domain });
+      if (tabId && url) {
+        await chrome.tabs.update(tabId, { url });
+      }
+      sendResponse({ ok: true, navigated: !!(tabId && url), url });
+    } catch (error) {
+      console.error('[Website Blocker] Error allowing site temporarily:', error);
+      sendResponse({ ok: false, error: String(error) });
+    }
+  })();
+  return true;
+});
+
+// Message from popup: turn on (or extend) strict mode until a deadline
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== "startStrictMode") return;
+  const until = message.until;
+  const now = Date.now();
+  if (!Number.isFinite(until) || until <= now || until > now + STRICT_MAX_MS) {
+    sendResponse({ ok: false, error: "Pick a time within the next year" });
+    return true;
+  }
+  (async () => {
+    try {
+      const current = await getStrictMode();
+      if (current && until < current.until) {
+        sendResponse({ ok: false, error: "Strict mode can only be extended" });
+        return;
       }
-      sendResponse({ ok: true, navigated: !!tabId });
+      // Extending keeps the protected snapshot taken when the lock started
+      const snapshot = current ? current.snapshot : await takeStrictSnapshot();
+      const strictMode = { until, startedAt: current ? current.startedAt : now, snapshot };
+      await setLocalData({ strictMode });
+      // A lock means blocking is on: end any pause. getPausedUntil() already
+      // ignores it now, so read the stored one.
+      const { pausedUntil } = await getLocalData({ pausedUntil: null });
+      if (pausedUntil) await resumeBlocking();
+      sendResponse({ ok: true, until });
     } catch (error) {
-      console.error('[Website Blocker] Error allowing five minutes:', error);
+      console.error('[Website Blocker] Error starting strict mode:', error);
       sendResponse({ ok: false, error: String(error) });
     }
   })();
   return true;
 });
 
+/**
+ * Start a focus session blocking the given sites; returns the session.
+ */
+async function startFocusSession({ sites, focusMinutes, breakMinutes, cycles }) {
+  const now = Date.now();
+  const focusSession = {
+    sites,
+    focusMinutes,
+    breakMinutes,
+    cycles,
+    cycle: 1,
+    phase: "focus",
+    startedAt: now,
+    phaseEndsAt: now + focusMinutes * 60 * 1000
+  };
+  await setLocalData({ focusSession });
+  await scheduleFocusAlarm();
+  await syncRules();
+  return focusSession;
+}
+
+/**
+ * End the running focus session, if any.
+ */
+async function stopFocusSession() {
+  await removeLocalData("focusSession");
+  await scheduleFocusAlarm();
+  await syncRules();
+}
+
+// Messages from popup: start or stop a focus session
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "startFocusSession") {
+    const { sites, focusMinutes, breakMinutes, cycles } = message;
+    const isWhole = (n, min, max) => Number.isInteger(n) && n >= min && n <= max;
+    if (
+      !Array.isArray(sites) || sites.length === 0 ||
+      !sites.every((site) => typeof site === "string") ||
+      !isWhole(focusMinutes, 1, 240) ||
+      !isWhole(breakMinutes, 1, 60) ||
+      !isWhole(cycles, 1, 12)
+    ) {
+      sendResponse({ ok: false, error: "invalid session" });
+      return true;
+    }
+    (async () => {
+      try {
+        const focusSession = await startFocusSession(message);
+        sendResponse({ ok: true, session: focusSession });
+      } catch (error) {
+        console.error('[Website Blocker] Error starting focus session:', error);
+        sendResponse({ ok: false, error: String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (message.action === "stopFocusSession") {
+    (async () => {
+      try {
+        await stopFocusSession();
+        sendResponse({ ok: true });
+      } catch (error) {
+        console.error('[Website Blocker] Error stopping focus session:', error);
+        sendResponse({ ok: false, error: String(error) });
+      }
+    })();
+    return true;
+  }
+});
+
 // Re-block when temporary allow expires
 chrome.alarms.onAlarm.addListener(async (alarm) => {
   if (alarm.name !== "reblock") return;
   try {
-    const effective = await getEffectiveBlockedSites();
-    await syncRules(effective);
+    await syncRules();
     await scheduleReblockAlarm();
   } catch (error) {
     console.error('[Website Blocker] Error on reblock alarm:', error);
   }
 });
+
+// Re-sync at each schedule window edge
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== "schedule") return;
+  try {
+    await syncRules();
+    await scheduleWindowAlarm();
+  } catch (error) {
+    console.error('[Website Blocker] Error on schedule alarm:', error);
+  }
+});
+
+// Switch between focus and break phases (or end the session)
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== "focus") return;
+  try {
+    await syncRules();
+    await scheduleFocusAlarm();
+  } catch (error) {
+    console.error('[Website Blocker] Error on focus alarm:', error);
+  }
+});
+
+// Count active-tab time per site for daily budgets
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === "usage") queueUsageUpdate();
+});
+
+chrome.tabs.onActivated.addListener(() => queueUsageUpdate());
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) queueUsageUpdate();
+});
+
+chrome.windows.onFocusChanged.addListener(() => queueUsageUpdate());
+
+// Keep the badge on the active tab's bypass or today's blocks
+chrome.alarms.onAlarm.addListener((alarm) => {
+  if (alarm.name === "badge") queueBadgeUpdate();
+});
+
+chrome.tabs.onActivated.addListener(() => queueBadgeUpdate());
+
+chrome.tabs.onUpdated.addListener((tabId, changeInfo, tab) => {
+  if (changeInfo.url && tab.active) queueBadgeUpdate();
+});
+
+// Content script: how long the page's bypass has left, for its countdown
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== "getAllowStatus") return;
+  getGrantedAllows()
+    .then((temporaryAllows) => {
+      const allow = sender.url ? findTemporaryAllow(sender.url, temporaryAllows, Date.now()) : null;
+      sendResponse({ ok: true, allow });
+    })
+    .catch((error) => {
+      console.error('[Website Blocker] Error reading allow status:', error);
+      sendResponse({ ok: false, error: String(error) });
+    });
+  return true;
+});
+
+// Blocked page: count the visit. The worker is the only writer of the
+// block history, so blocks, bypasses and prunes are applied in turn. Only
+// the blocked page loaded in a tab's top frame counts; other pages may
+// frame it, as it is web-accessible.
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== "recordBlock") return;
+  if (!sender.url || !sender.url.startsWith(chrome.runtime.getURL("blocked.html"))) return;
+  if (!sender.tab || sender.frameId !== 0) return;
+  const keyword = typeof message.keyword === "string" ? message.keyword : null;
+  if (typeof message.site !== "string" || message.site.trim() === "") {
+    sendResponse({ ok: false, error: "Missing site" });
+    return;
+  }
+  // Keyword blocks name the host they happened on, counted like a domain
+  const site = keyword ? normalizeDomain(message.site) : message.site;
+  recordBlock(site, keyword)
+    .then(() => sendResponse({ ok: true }))
+    .catch((error) => {
+      console.error('[Website Blocker] Error recording block:', error);
+      sendResponse({ ok: false, error: String(error) });
+    });
+  return true;
+});
+
+// Score goals for days that have ended
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== "goals") return;
+  try {
+    await evaluateGoals();
+  } catch (error) {
+    console.error('[Website Blocker] Error on goals alarm:', error);
+  }
+});
+
+// Send the weekly summary, with last week's goal days scored first
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== "weekly-summary") return;
+  try {
+    await evaluateGoals();
+    await sendWeeklySummary();
+    await scheduleWeeklySummaryAlarm();
+  } catch (error) {
+    console.error('[Website Blocker] Error on weekly summary alarm:', error);
+  }
+});
+
+// Open the stats page from the weekly summary
+chrome.notifications.onClicked.addListener((notificationId) => {
+  if (notificationId !== "weekly-summary") return;
+  chrome.tabs.create({ url: chrome.runtime.getURL("stats.html") });
+  chrome.notifications.clear(notificationId);
+});
+
+// Refresh subscribed lists
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== "subscriptions") return;
+  try {
+    await queueSubscriptionRefresh();
+  } catch (error) {
+    console.error('[Website Blocker] Error on subscriptions alarm:', error);
+  }
+});
+
+// "Refresh now" in the popup
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action !== "refreshSubscriptions") return;
+  queueSubscriptionRefresh()
+    .then(() => sendResponse({ ok: true }))
+    .catch((error) => {
+      console.error('[Website Blocker] Error refreshing subscriptions:', error);
+      sendResponse({ ok: false, error: String(error) });
+    });
+  return true;
+});
+
+// End a global pause
+chrome.alarms.onAlarm.addListener(async (alarm) => {
+  if (alarm.name !== "resume") return;
+  try {
+    await resumeBlocking();
+  } catch (error) {
+    console.error('[Website Blocker] Error on resume alarm:', error);
+  }
+});
+
+// Minutes a keyboard shortcut pauses blocking for
+const SHORTCUT_PAUSE_MINUTES = 15;
+// Longest pause the popup can ask for ("until tomorrow" just after midnight)
+const PAUSE_MAX_MINUTES = 24 * 60;
+
+// Messages from popup: pause all blocking, or resume it early
+chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
+  if (message.action === "pauseBlocking") {
+    const minutes = message.minutes;
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > PAUSE_MAX_MINUTES) {
+      sendResponse({ ok: false, error: "Invalid pause length" });
+      return true;
+    }
+    (async () => {
+      try {
+        const refusal = await pauseBlocking(minutes);
+        if (refusal) {
+          sendResponse({ ok: false, error: refusal });
+          return;
+        }
+        sendResponse({ ok: true, pausedUntil: await getPausedUntil() });
+      } catch (error) {
+        console.error('[Website Blocker] Error pausing blocking:', error);
+        sendResponse({ ok: false, error: String(error) });
+      }
+    })();
+    return true;
+  }
+
+  if (message.action === "resumeBlocking") {
+    (async () => {
+      try {
+        await resumeBlocking();
+        sendResponse({ ok: true });
+      } catch (error) {
+        console.error('[Website Blocker] Error resuming blocking:', error);
+        sendResponse({ ok: false, error: String(error) });
+      }
+    })();
+    return true;
+  }
+});
+
+// Focus session started from a keyboard shortcut: the popup's default
+// lengths, blocking every site in the active profile
+const SHORTCUT_FOCUS_SESSION = { focusMinutes: 25, breakMinutes: 5, cycles: 4 };
+
+/**
+ * Create the right-click menu entries for blocking a page, its path or a
+ * link's domain. Menus persist, so this runs on install and update.
+ */
+function createContextMenus() {
+  chrome.contextMenus.removeAll(() => {
+    const documentUrlPatterns = ["http://*/*", "https://*/*"];
+    chrome.contextMenus.create({
+      id: "block-site",
+      title: "Block this site",
+      contexts: ["page"],
+      documentUrlPatterns
+    });
+    chrome.contextMenus.create({
+      id: "block-path",
+      title: "Block this path",
+      contexts: ["page"],
+      documentUrlPatterns
+    });
+    chrome.contextMenus.create({
+      id: "block-link-domain",
+      title: "Block this link's domain",
+      contexts: ["link"],
+      targetUrlPatterns: documentUrlPatterns
+    });
+  });
+}
+
+/**
+ * Add an entry from a context menu or shortcut, logging why it was refused.
+ */
+async function blockFromShortcut(raw) {
+  const result = await addBlockedEntry(raw);
+  if (result.error) {
+    console.warn(`[Website Blocker] Not blocking ${raw}: ${result.error}`);
+  }
+}
+
+/**
+ * Turn an http(s) URL into the entry for its site (bare domain) or for its
+ * path (domain plus path). Returns null for other URLs.
+ */
+function entryFromUrl(rawUrl, withPath) {
+  let url;
+  try {
+    url = new URL(rawUrl);
+  } catch (error) {
+    return null;
+  }
+  if (url.protocol !== "http:" && url.protocol !== "https:") return null;
+  return withPath ? normalizeEntry(`${url.host}${url.pathname}`) : normalizeDomain(url.hostname);
+}
+
+chrome.runtime.onInstalled.addListener(createContextMenus);
+
+chrome.contextMenus.onClicked.addListener((info, tab) => {
+  const pageUrl = info.pageUrl || (tab && tab.url);
+  const entry = info.menuItemId === "block-link-domain"
+    ? entryFromUrl(info.linkUrl, false)
+    : entryFromUrl(pageUrl, info.menuItemId === "block-path");
+  if (!entry) return;
+  blockFromShortcut(entry).catch((error) => {
+    console.error('[Website Blocker] Error blocking from context menu:', error);
+  });
+});
+
+// Keyboard shortcuts: block the current site, toggle a focus session, pause
+chrome.commands.onCommand.addListener(async (command, tab) => {
+  try {
+    if (command === "block-current-site") {
+      const [activeTab] = tab ? [tab] : await chrome.tabs.query({ active: true, currentWindow: true });
+      const entry = activeTab && entryFromUrl(activeTab.url, false);
+      if (entry) await blockFromShortcut(entry);
+    } else if (command === "toggle-focus-session") {
+      if (await getFocusSession()) {
+        await stopFocusSession();
+      } else {
+        const data = await getSettings({ blockedSites: [], ...PROFILE_DEFAULTS });
+        const sites = getProfileEntries(data.blockedSites, data);
+        if (sites.length === 0) {
+          console.warn('[Website Blocker] No sites to block in a focus session');
+          return;
+        }
+        await startFocusSession({ sites, ...SHORTCUT_FOCUS_SESSION });
+      }
+    } else if (command === "toggle-pause") {
+      if (await getPausedUntil()) {
+        await resumeBlocking();
+      } else {
+        const refusal = await pauseBlocking(SHORTCUT_PAUSE_MINUTES);
+        if (refusal) console.warn(`[Website Blocker] Not pausing: ${refusal}`);
+      }
+    }
+  } catch (error) {
+    console.error(`[Website Blocker] Error running command ${command}:`, error);
+  }
+});
@@ -1,97 +1,393 @@
 /**
  * Blocked page script for Website Blocker.
  *
- * Displays a motivational quote and blocked site information.
+ * Displays the site's own message or a motivational quote (the user's, or
+ * the built-in ones), the blocked site (or matched keyword) and the
+ * remaining time of a running focus session. Bypasses can first ask why the
+ * user is visiting; the answer is journaled for the stats page. What is shown
+ * follows the blockPage and bypassSettings preferences (see preferences.js).
  */
 
-const quotes = [
-  "The secret of getting ahead is getting started.",
-  "Focus on being productive instead of busy.",
-  "It's not about having time. It's about making time.",
-  "Don't watch the clock; do what it does. Keep going.",
-  "Your future self will thank you.",
-  "Small disciplines repeated with consistency lead to great achievements.",
-  "Discipline is choosing between what you want now and what you want most.",
-  "You don't have to be extreme, just consistent.",
-  "The best time to start was yesterday. The next best time is now.",
-  "What you do today can improve all your tomorrows."
-];
-
-// Show a random quote
-const quoteEl = document.getElementById("quote");
-quoteEl.textContent = quotes[Math.floor(Math.random() * quotes.length)];
-
 // Show which site was blocked
 const params = new URLSearchParams(window.location.search);
 const site = params.get("site");
+const isAllowlistMode = params.get("mode") === "allowlist";
+const reason = params.get("reason");
+const keyword = params.get("keyword");
+// Host a keyword block happened on
+const keywordHost = params.get("host");
+// Page an open tab was on when the background worker blocked it, if any
+const returnUrl = params.get("from");
 const blockedSiteEl = document.getElementById("blocked-site");
-if (site) {
-  blockedSiteEl.textContent = `${site} is blocked.`;
+if (keyword) {
+  blockedSiteEl.textContent = `Blocked keyword: \u201c${keyword}\u201d.`;
+  recordBlockStats(keywordHost, keyword);
+} else if (site) {
+  if (isAllowlistMode) {
+    blockedSiteEl.textContent = `${site} is not on your allowlist.`;
+  } else if (reason === "budget") {
+    blockedSiteEl.textContent = `Daily budget used up for ${site}.`;
+  } else {
+    blockedSiteEl.textContent = `${site} is blocked.`;
+  }
   recordBlockStats(site);
 } else {
   blockedSiteEl.textContent = "This site is blocked.";
 }
 
+// Block page preferences, as last read from storage
+let blockPage = preferenceDefault(PREFERENCE_SCHEMA.blockPage);
+
+// Show the site's own message, or else a random quote unless turned off
+const quoteEl = document.getElementById("quote");
+// Quote picked for this visit, kept when the preferences change
+let quote = null;
+
 /**
- * Record one block event for the given domain in chrome.storage.local.
- * Stores daily counts per domain and prunes dates older than 30 days.
+ * Fill in the message or quote above the blocked site.
  */
-function recordBlockStats(domain) {
+async function renderQuote() {
+  const data = await getSettings({ siteOptions: {}, blockPageQuotes: [] });
+  const message = site && data.siteOptions[site] && data.siteOptions[site].message;
+  quoteEl.classList.toggle("site-message", !!message);
+  if (message) {
+    quoteEl.textContent = message;
+    return;
+  }
+  if (blockPage.show !== "quote") {
+    quoteEl.textContent = "";
+    return;
+  }
+  if (!quote) {
+    const choices = data.blockPageQuotes.length > 0 ? data.blockPageQuotes : BUILT_IN_QUOTES;
+    quote = choices[Math.floor(Math.random() * choices.length)];
+  }
+  quoteEl.textContent = quote;
+}
+
+getPreferences(["blockPage"]).then((preferences) => {
+  blockPage = preferences.blockPage;
+  return renderQuote();
+});
+
+/**
+ * Have the background worker count this visit in the block statistics and
+ * the blockEvents log. It is their only writer, so a block recorded here
+ * can't overwrite a bypass or a prune it records at the same time. A visit
+ * counts once: reloading the page or coming back to it through the history
+ * doesn't count again, and neither does the page framed by another one.
+ */
+function recordBlockStats(domain, matchedKeyword) {
   if (!domain || typeof domain !== "string" || domain.trim() === "") return;
-  const today = new Date().toISOString().slice(0, 10);
-  const cutoff = new Date();
-  cutoff.setDate(cutoff.getDate() - 30);
-  const cutoffStr = cutoff.toISOString().slice(0, 10);
-
-  chrome.storage.local.get({ blockStats: {} }, (data) => {
-    const stats = data.blockStats;
-    if (!stats[domain]) stats[domain] = {};
-    stats[domain][today] = (stats[domain][today] || 0) + 1;
-
-    // Prune dates older than 30 days (all domains)
-    for (const d of Object.keys(stats)) {
-      const dates = stats[d];
-      for (const dateKey of Object.keys(dates)) {
-        if (dateKey < cutoffStr) delete dates[dateKey];
-      }
-      if (Object.keys(dates).length === 0) delete stats[d];
+  if (window.top !== window) return;
+  const [navigation] = performance.getEntriesByType("navigation");
+  if (navigation && navigation.type !== "navigate") return;
+  const message = { action: "recordBlock", site: domain };
+  if (matchedKeyword) message.keyword = matchedKeyword;
+  chrome.runtime.sendMessage(message, (response) => {
+    if (chrome.runtime.lastError || !response || !response.ok) {
+      console.error('[Website Blocker] Error recording block:',
+        chrome.runtime.lastError || (response && response.error));
     }
-
-    chrome.storage.local.set({ blockStats: stats });
   });
 }
 
-// Go Back button
+// Running focus session as last read from storage, if any
+const focusTimerEl = document.getElementById("focus-timer");
+let focusSession = null;
+
+/**
+ * Show the time left in the current focus session phase, if one is running.
+ */
+function renderFocusTimer() {
+  if (!focusSession) {
+    focusTimerEl.classList.add("hidden");
+    return;
+  }
+  const totalSeconds = Math.max(0, Math.ceil((focusSession.phaseEndsAt - Date.now()) / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  const phase = focusSession.phase === "focus" ? "Focus session" : "Break";
+  focusTimerEl.textContent =
+    `${phase} ${focusSession.cycle}/${focusSession.cycles}: ${minutes}:${seconds} left`;
+  focusTimerEl.classList.remove("hidden");
+}
+
+getLocalData({ focusSession: null }).then((data) => {
+  focusSession = data.focusSession;
+  renderFocusTimer();
+});
+
+onStorageChanged((changes, area) => {
+  if (area === "local" && changes.focusSession) {
+    focusSession = changes.focusSession.newValue || null;
+    renderFocusTimer();
+  }
+});
+
+setInterval(() => {
+  if (focusSession) renderFocusTimer();
+}, 1000);
+
+// Go Back button: back to the previous page, or close the tab
 document.getElementById("go-back").addEventListener("click", () => {
-  if (history.length > 1) {
+  if (blockPage.goBack === "back" && history.length > 1) {
     history.back();
   } else {
     window.close();
   }
 });
 
-// Five more minutes button
-document.getElementById("five-more").addEventListener("click", () => {
+// Bypass ("N more minutes") buttons and friction challenge
+const buttonsEl = document.getElementById("buttons");
+const challengeEl = document.getElementById("bypass-challenge");
+const challengePromptEl = document.getElementById("challenge-prompt");
+const challengeAnswerEl = document.getElementById("challenge-answer");
+const challengeConfirmEl = document.getElementById("challenge-confirm");
+const bypassMessageEl = document.getElementById("bypass-message");
+const intentEl = document.getElementById("intent-step");
+const intentAnswerEl = document.getElementById("intent-answer");
+
+// Challenge issued by the background worker for the chosen duration
+let pendingBypass = null;
+let countdownTimer = null;
+// Whether a bypass first asks why the user is visiting (bypassSettings.askIntent)
+let askIntent = false;
+// Duration chosen while the intent question is showing
+let intentMinutes = null;
+
+/**
+ * Label for a bypass button, keeping the familiar "Five more minutes".
+ */
+function bypassLabel(minutes) {
+  if (minutes === 5) return "Five more minutes";
+  return `${minutes} more minute${minutes !== 1 ? "s" : ""}`;
+}
+
+/**
+ * Enable or disable every bypass button.
+ */
+function setBypassButtonsDisabled(disabled) {
+  buttonsEl.querySelectorAll(".five-more-btn").forEach((btn) => {
+    btn.disabled = disabled;
+  });
+}
+
+/**
+ * Show a refusal or error from the background worker, with a live countdown
+ * when a cooldown tells us when to retry.
+ */
+function showBypassMessage(message, retryAt) {
+  clearInterval(countdownTimer);
+  const render = () => {
+    const seconds = Math.ceil((retryAt - Date.now()) / 1000);
+    if (seconds <= 0) {
+      clearInterval(countdownTimer);
+      bypassMessageEl.textContent = "";
+      return;
+    }
+    const time = `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, "0")}`;
+    bypassMessageEl.textContent = `${message} \u2014 try again in ${time}`;
+  };
+  if (retryAt) {
+    render();
+    countdownTimer = setInterval(render, 1000);
+  } else {
+    bypassMessageEl.textContent = message;
+  }
+}
+
+/**
+ * Hide the challenge and make the bypass buttons usable again.
+ */
+function resetBypass() {
+  clearInterval(countdownTimer);
+  pendingBypass = null;
+  challengeEl.classList.add("hidden");
+  challengeAnswerEl.value = "";
+  setBypassButtonsDisabled(false);
+}
+
+/**
+ * Ask the background worker to allow the site with a passed challenge.
+ */
+function completeBypass(answer) {
+  const { minutes, challenge } = pendingBypass;
+  challengeConfirmEl.disabled = true;
+  chrome.runtime.sendMessage(
+    { action: "allowTemporarily", site, minutes, challengeId: challenge.id, answer, returnUrl },
+    (response) => {
+      challengeConfirmEl.disabled = false;
+      if (chrome.runtime.lastError || !response) {
+        resetBypass();
+        return;
+      }
+      if (!response.ok) {
+        // A wrong answer can be retried; anything else starts over
+        if (response.retry) {
+          showBypassMessage(response.error);
+          challengeAnswerEl.select();
+        } else {
+          resetBypass();
+          showBypassMessage(response.error, response.retryAt);
+        }
+        return;
+      }
+      // Background navigates the tab; fallback if it didn't (e.g. no sender.tab).
+      // Regex rules have no URL to return to unless the tab was blocked while
+      // open, so go back to the previous page.
+      if (!response.navigated) {
+        if (response.url) {
+          window.location.href = response.url;
+        } else {
+          history.back();
+        }
+      }
+    }
+  );
+}
+
+/**
+ * Show the friction step for a challenge: a countdown, a passage to
+ * retype or a sum to solve. Challenges without friction complete at once.
+ */
+function showChallenge(challenge) {
+  if (challenge.type === "none") {
+    completeBypass();
+    return;
+  }
+
+  challengeEl.classList.remove("hidden");
+  const needsAnswer = challenge.type === "typing" || challenge.type === "math";
+  challengeAnswerEl.classList.toggle("hidden", !needsAnswer);
+
+  if (challenge.type === "typing") {
+    challengePromptEl.textContent = `Type this to continue: \u201c${challenge.prompt}\u201d`;
+    challengeAnswerEl.placeholder = "Type the sentence above";
+  } else if (challenge.type === "math") {
+    challengePromptEl.textContent = `Solve to continue: ${challenge.prompt} = ?`;
+    challengeAnswerEl.placeholder = "Answer";
+  }
+  if (needsAnswer) challengeAnswerEl.focus();
+
+  if (challenge.type === "countdown") {
+    const tick = () => {
+      const seconds = Math.ceil((challenge.readyAt - Date.now()) / 1000);
+      challengeConfirmEl.disabled = seconds > 0;
+      challengePromptEl.textContent = seconds > 0
+        ? `Take a breath. You can continue in ${seconds}s.`
+        : "Still want to go in?";
+      if (seconds <= 0) clearInterval(countdownTimer);
+    };
+    tick();
+    countdownTimer = setInterval(tick, 250);
+  }
+}
+
+/**
+ * Ask why the user is visiting before starting a bypass for the chosen
+ * duration.
+ */
+function askForIntent(minutes) {
+  intentMinutes = minutes;
+  setBypassButtonsDisabled(true);
+  bypassMessageEl.textContent = "";
+  intentEl.classList.remove("hidden");
+  intentAnswerEl.focus();
+}
+
+/**
+ * Start the bypass with the answer to "why are you visiting?".
+ */
+function submitIntent() {
+  const intent = intentAnswerEl.value.trim();
+  if (!intent) {
+    intentAnswerEl.focus();
+    return;
+  }
+  intentEl.classList.add("hidden");
+  startBypass(intentMinutes, intent);
+}
+
+/**
+ * Start a bypass for the chosen duration; the worker checks the daily limit,
+ * cooldown and stated intent and hands back a friction challenge.
+ */
+function startBypass(minutes, intent) {
   if (!site) {
     return;
   }
-  const btn = document.getElementById("five-more");
-  btn.disabled = true;
-  btn.textContent = "…";
-  chrome.runtime.sendMessage({ action: "allowFiveMinutes", site }, (response) => {
-    if (chrome.runtime.lastError) {
-      btn.disabled = false;
-      btn.textContent = "Five more minutes";
+  setBypassButtonsDisabled(true);
+  bypassMessageEl.textContent = "";
+  chrome.runtime.sendMessage({ action: "startBypass", site, intent }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      setBypassButtonsDisabled(false);
       return;
     }
-    if (response && response.ok) {
-      // Background navigates the tab; fallback if it didn't (e.g. no sender.tab)
-      if (!response.navigated) {
-        window.location.href = "https://" + site;
-      }
-    } else {
-      btn.disabled = false;
-      btn.textContent = "Five more minutes";
+    if (!response.ok) {
+      setBypassButtonsDisabled(false);
+      showBypassMessage(response.error, response.retryAt);
+      return;
     }
+    pendingBypass = { minutes, challenge: response.challenge };
+    showChallenge(response.challenge);
+  });
+}
+
+challengeConfirmEl.addEventListener("click", () => {
+  if (pendingBypass) completeBypass(challengeAnswerEl.value);
+});
+
+challengeAnswerEl.addEventListener("keydown", (e) => {
+  if (e.key === "Enter" && pendingBypass) completeBypass(challengeAnswerEl.value);
+});
+
+document.getElementById("intent-confirm").addEventListener("click", submitIntent);
+
+intentAnswerEl.addEventListener("keydown", (e) => {
+  if (e.key === "Enter") submitIntent();
+});
+
+// Retyped passages must be typed, not pasted
+challengeAnswerEl.addEventListener("paste", (e) => e.preventDefault());
+
+/**
+ * Add one button per configured bypass duration, replacing any shown.
+ */
+function renderBypassButtons(settings) {
+  askIntent = settings.askIntent;
+  buttonsEl.querySelectorAll(".five-more-btn").forEach((btn) => btn.remove());
+  settings.durations.forEach((minutes) => {
+    const btn = document.createElement("button");
+    btn.className = "five-more-btn";
+    btn.textContent = bypassLabel(minutes);
+    btn.addEventListener("click", () => {
+      if (askIntent) {
+        askForIntent(minutes);
+      } else {
+        startBypass(minutes);
+      }
+    });
+    buttonsEl.appendChild(btn);
+  });
+}
+
+// Keyword blocks have no site to allow, so they offer no bypass
+if (site) {
+  getPreferences(["bypassSettings"]).then((preferences) => {
+    renderBypassButtons(preferences.bypassSettings);
   });
+}
+
+// Follow preference changes made while the page is open. A bypass already
+// under way keeps the buttons it started from.
+onPreferencesChanged((values) => {
+  if (values.blockPage) {
+    blockPage = values.blockPage;
+    renderQuote();
+  }
+  const inBypass = pendingBypass || !intentEl.classList.contains("hidden");
+  if (values.bypassSettings && site && !inBypass) {
+    renderBypassButtons(values.bypassSettings);
+  }
 });
@@ -0,0 +1,52 @@
+/**
+ * Blocklist edits for Website Blocker.
+ *
+ * Adding a site goes through the same normalization (domains.js, rules.js),
+ * validation, grouping (profiles.js) and storage (storage.js) whether it
+ * comes from the popup or from the background worker's context menus and
+ * keyboard shortcuts.
+ */
+
+/**
+ * Normalize, validate and add an entry to blockedSites, in the given group or
+ * else the active profile's first group, noting when it was added
+ * (siteAddedAt, for sorting the popup's list). A bare domain is widened to its
+ * registrable domain when the domainScope preference is "site".
+ * Returns { entry, sites } with the saved list, or { error } with a message
+ * for the user; invalid input also sets `invalid` so the popup can keep it
+ * for editing.
+ */
+async function addBlockedEntry(raw, group) {
+  const [data, { domainScope }] = await Promise.all([
+    getSettings({ blockedSites: [], siteAddedAt: {}, ...PROFILE_DEFAULTS }),
+    getPreferences(["domainScope"])
+  ]);
+  const entry = normalizeEntry(raw, domainScope);
+  const error = await validateEntry(entry);
+  if (error) return { error, invalid: true };
+
+  const sites = data.blockedSites;
+  if (sites.includes(entry)) return { error: "Already blocked!" };
+
+  sites.push(entry);
+  sites.sort();
+  const values = {
+    blockedSites: sites,
+    siteAddedAt: { ...data.siteAddedAt, [entry]: Date.now() }
+  };
+  const groupId = group || getTargetGroup(data);
+  if (groupId !== DEFAULT_GROUP_ID) {
+    values.siteGroups = { ...data.siteGroups, [entry]: groupId };
+  }
+  try {
+    await setSettings(values);
+  } catch (storageError) {
+    // Handle quota exceeded or other storage errors
+    console.error('[Website Blocker] Storage error:', storageError);
+    if (storageError.message && storageError.message.includes('QUOTA')) {
+      return { error: "Storage quota exceeded!" };
+    }
+    return { error: "Failed to save. Try again." };
+  }
+  return { entry, sites };
+}
@@ -0,0 +1,140 @@
+/**
+ * Countdown banner for Website Blocker.
+ *
+ * Content script on every page. When the page is only reachable because of
+ * a bypass ("N more minutes", see temporaryAllows in background.js), it shows
+ * a small banner with the time left, which turns into a warning in the last
+ * minute. Dismissing the countdown hides it until the warning; dismissing the
+ * warning hides it for the rest of the bypass.
+ *
+ * It runs on every page, so it stands alone: it reads and follows only the
+ * temporaryAllows key in chrome.storage.local, rather than loading
+ * storage.js, whose change listener re-reads sharded settings on every
+ * blocklist edit.
+ */
+
+// The banner turns into a warning this long before the bypass ends
+const COUNTDOWN_WARNING_MS = 60 * 1000;
+
+// Bypass the page depends on ({ site, expiresAt }), as last asked, if any
+let allow = null;
+// Part of the bypass ("countdown" or "warning") the user dismissed, if any
+let dismissed = null;
+// Banner elements, while the banner is shown
+let banner = null;
+let tickTimer = null;
+
+/**
+ * Format a duration in milliseconds as m:ss.
+ */
+function formatRemaining(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const minutes = Math.floor(totalSeconds / 60);
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Add the banner to the page. It lives in a closed shadow root so the page's
+ * styles and scripts leave it alone.
+ */
+function buildBanner() {
+  const host = document.createElement("div");
+  const shadow = host.attachShadow({ mode: "closed" });
+
+  const style = document.createElement("link");
+  style.rel = "stylesheet";
+  style.href = chrome.runtime.getURL("countdown.css");
+
+  const box = document.createElement("div");
+  box.className = "countdown";
+  box.setAttribute("role", "status");
+
+  const text = document.createElement("span");
+
+  const close = document.createElement("button");
+  close.type = "button";
+  close.textContent = "\u00d7"; // multiplication sign (×)
+  close.title = "Hide";
+  close.setAttribute("aria-label", "Hide the bypass countdown");
+  close.addEventListener("click", () => {
+    dismissed = box.classList.contains("warning") ? "warning" : "countdown";
+    render();
+  });
+
+  box.appendChild(text);
+  box.appendChild(close);
+  shadow.appendChild(style);
+  shadow.appendChild(box);
+  document.documentElement.appendChild(host);
+  return { host, box, text };
+}
+
+/**
+ * Show, update or remove the banner for the time left on the bypass.
+ */
+function render() {
+  const remaining = allow ? allow.expiresAt - Date.now() : 0;
+  const warning = remaining <= COUNTDOWN_WARNING_MS;
+  const hidden = remaining <= 0 || dismissed === "warning" || (dismissed === "countdown" && !warning);
+  if (hidden) {
+    if (banner) banner.host.remove();
+    banner = null;
+    if (remaining <= 0) {
+      clearInterval(tickTimer);
+      tickTimer = null;
+    }
+    return;
+  }
+
+  if (!banner) banner = buildBanner();
+  banner.box.classList.toggle("warning", warning);
+  banner.text.textContent = warning
+    ? `${allow.site} is blocked again in ${formatRemaining(remaining)}. Time to wrap up.`
+    : `${formatRemaining(remaining)} left on ${allow.site}`;
+}
+
+/**
+ * Start or stop the countdown for the bypass this page depends on, if any.
+ */
+function setAllow(next) {
+  // A new bypass (another "N more minutes") shows the banner again
+  if (!next || !allow || next.expiresAt !== allow.expiresAt) dismissed = null;
+  allow = next;
+  if (allow && !tickTimer) tickTimer = setInterval(render, 1000);
+  render();
+}
+
+/**
+ * Find the bypass, if any, this page depends on. Only when some bypass is
+ * running is the background worker asked which one applies to the page, so
+ * ordinary page loads don't wake it.
+ */
+async function refresh() {
+  const { temporaryAllows } = await chrome.storage.local.get({ temporaryAllows: {} });
+  const now = Date.now();
+  if (!Object.values(temporaryAllows).some((expiresAt) => expiresAt > now)) {
+    setAllow(null);
+    return;
+  }
+  chrome.runtime.sendMessage({ action: "getAllowStatus" }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.ok) return;
+    setAllow(response.allow);
+  });
+}
+
+/**
+ * Refresh, logging rather than throwing if storage can't be read.
+ */
+function queueRefresh() {
+  refresh().catch((error) => {
+    console.error('[Website Blocker] Error reading bypasses:', error);
+  });
+}
+
+// Follow bypasses starting, being extended or ending
+chrome.storage.onChanged.addListener((changes, area) => {
+  if (area === "local" && changes.temporaryAllows) queueRefresh();
+});
+
+queueRefresh();
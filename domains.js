@@ -0,0 +1,112 @@
+/**
+ * Domain model for Website Blocker.
+ *
+ * Every page and the background worker turn typed domains and URL hosts into
+ * blocklist hosts through these functions. Internationalized names are
+ * converted to punycode ("bücher.de" → "xn--bcher-kva.de"), since rules only
+ * match ASCII hosts, and the bundled Public Suffix List (public-suffixes.js)
+ * finds a host's registrable domain ("news.bbc.co.uk" → "bbc.co.uk").
+ *
+ * A host can be blocked with one of two scopes:
+ *
+ *   site   the registrable domain, i.e. the whole site (m.youtube.com → youtube.com)
+ *   host   the host as given, minus "www." (m.youtube.com stays m.youtube.com)
+ *
+ * Either way the rule also covers the hosts under it (see rules.js). Domain
+ * entries added from the popup, menus and shortcuts use the domainScope
+ * preference (preferences.js), which keeps the exact host unless the user
+ * picks the whole site; everything else (imports, exceptions, the allowlist)
+ * always keeps the exact host.
+ */
+
+// Rules of the bundled Public Suffix List (PUBLIC_SUFFIX_RULES, from
+// public-suffixes.js, which must be loaded first). Any TLD the list doesn't
+// name is a one-label suffix (the list's default "*" rule).
+const PUBLIC_SUFFIXES = { suffixes: new Set(), wildcards: new Set(), exceptions: new Set() };
+for (const rule of PUBLIC_SUFFIX_RULES.trim().split(/\s+/)) {
+  if (rule.startsWith("!")) PUBLIC_SUFFIXES.exceptions.add(rule.slice(1));
+  else if (rule.startsWith("*.")) PUBLIC_SUFFIXES.wildcards.add(rule.slice(2));
+  else PUBLIC_SUFFIXES.suffixes.add(rule);
+}
+
+/**
+ * Lowercase a host and convert its internationalized labels to punycode.
+ * "*" labels of wildcard entries are kept; labels that can't be converted
+ * are returned as they are, for validation to reject.
+ */
+function toASCIIHost(host) {
+  const name = host.trim().toLowerCase().replace(/\.$/, "");
+  return name.split(".").map((label) => {
+    if (/^[\x00-\x7f]*$/.test(label)) return label;
+    try {
+      const ascii = new URL(`http://${label}`).hostname;
+      // Some characters map to dots or digits (an IPv4 address); keep those
+      return /^[a-z0-9-]+$/.test(ascii) && !/^\d+$/.test(ascii) ? ascii : label;
+    } catch (error) {
+      return label;
+    }
+  }).join(".");
+}
+
+/**
+ * Reduce user input (a domain or URL) to its ASCII host, without protocol,
+ * port, path, query or hash.
+ */
+function normalizeHost(raw) {
+  const host = raw
+    .trim()
+    .replace(/^[a-z][a-z0-9+.-]*:\/\//i, "")
+    .split(/[/?#]/)[0]
+    .split(":")[0];
+  return toASCIIHost(host);
+}
+
+/**
+ * Normalize user input to a bare domain for the given scope (see above).
+ * "www." is always dropped; with scope "site" the registrable domain is kept.
+ */
+function normalizeDomain(raw, scope = "host") {
+  const host = normalizeHost(raw).replace(/^www\./, "");
+  if (scope === "site") return getRegistrableDomain(host) || host;
+  return host;
+}
+
+/**
+ * Validate an ASCII domain: two or more labels of letters, digits and inner
+ * hyphens, ending in an alphabetic or punycode ("xn--") TLD.
+ */
+function isValidDomain(domain) {
+  const label = "[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?";
+  const domainRegex = new RegExp(`^(?:${label}\\.)+(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$`);
+  return Boolean(domain) && domain.length <= 253 && domainRegex.test(domain);
+}
+
+/**
+ * Return the public suffix of an ASCII host ("co.uk" for "news.bbc.co.uk",
+ * "com" for "example.com"), using the longest matching rule.
+ */
+function getPublicSuffix(host) {
+  const labels = host.split(".");
+  for (let i = 0; i < labels.length; i++) {
+    const candidate = labels.slice(i).join(".");
+    if (PUBLIC_SUFFIXES.exceptions.has(candidate)) return labels.slice(i + 1).join(".");
+    if (PUBLIC_SUFFIXES.suffixes.has(candidate)) return candidate;
+    if (i + 1 < labels.length && PUBLIC_SUFFIXES.wildcards.has(labels.slice(i + 1).join("."))) {
+      return candidate;
+    }
+  }
+  return labels[labels.length - 1];
+}
+
+/**
+ * Return the registrable domain of an ASCII host: its public suffix plus one
+ * label ("bbc.co.uk" for "news.bbc.co.uk"). Null for hosts that are a public
+ * suffix themselves and for anything that isn't a valid domain.
+ */
+function getRegistrableDomain(host) {
+  if (!isValidDomain(host)) return null;
+  const suffix = getPublicSuffix(host);
+  if (host === suffix) return null;
+  const rest = host.slice(0, -suffix.length - 1).split(".");
+  return `${rest[rest.length - 1]}.${suffix}`;
+}
@@ -0,0 +1,62 @@
+/**
+ * Goal model for Website Blocker.
+ *
+ * Goals (goals in sync storage) cap the number of blocks or bypasses a day,
+ * on every day, on weekdays or on weekends:
+ *
+ *   { id, metric: "blocks", below: 10, days: "all", createdAt }
+ *   { id, metric: "bypasses", below: 1, days: "weekdays", createdAt }
+ *
+ * A day passes when its count stays below the cap. The background worker
+ * scores finished days from the event log into goalProgress (local storage);
+ * the stats page edits goals and shows their history and streaks.
+ */
+
+// Days of the week (Date.prototype.getDay()) each "days" setting covers
+const GOAL_DAYS = {
+  all: [0, 1, 2, 3, 4, 5, 6],
+  weekdays: [1, 2, 3, 4, 5],
+  weekends: [0, 6]
+};
+
+const GOAL_DAY_LABELS = {
+  all: "a day",
+  weekdays: "on weekdays",
+  weekends: "on weekends"
+};
+
+// Singular and plural names of what each metric counts
+const GOAL_METRIC_NAMES = {
+  blocks: ["block", "blocks"],
+  bypasses: ["bypass", "bypasses"]
+};
+
+/**
+ * Validate a goal's metric, cap and days.
+ * Returns an error message, or null if the goal is valid.
+ */
+function validateGoal(goal) {
+  if (!GOAL_METRIC_NAMES[goal.metric]) return "Pick blocks or bypasses";
+  if (!Number.isInteger(goal.below) || goal.below < 1 || goal.below > 1000) {
+    return "Enter a number from 1 to 1000";
+  }
+  if (!GOAL_DAYS[goal.days]) return "Pick which days count";
+  return null;
+}
+
+/**
+ * Describe a goal, e.g. "Fewer than 10 blocks a day" or "No bypasses on
+ * weekdays".
+ */
+function describeGoal(goal) {
+  const [, plural] = GOAL_METRIC_NAMES[goal.metric];
+  const amount = goal.below === 1 ? "No" : `Fewer than ${goal.below}`;
+  return `${amount} ${plural} ${GOAL_DAY_LABELS[goal.days]}`;
+}
+
+/**
+ * Check whether a goal is scored on a given date.
+ */
+function goalAppliesOn(goal, date) {
+  return GOAL_DAYS[goal.days].includes(date.getDay());
+}
@@ -0,0 +1,183 @@
+/**
+ * Import & export page for Website Blocker.
+ *
+ * Exports the blocklist and its settings to a versioned JSON file, and
+ * previews then merges lists imported from JSON, hosts files or plain
+ * domain lists (see lists.js).
+ */
+
+const SETTINGS_DEFAULTS = {
+  blockedSites: [],
+  siteOptions: {},
+  allowedSites: [],
+  siteAddedAt: {},
+  ...PROFILE_DEFAULTS
+};
+
+const importText = document.getElementById("import-text");
+const statusEl = document.getElementById("import-status");
+const previewEl = document.getElementById("preview");
+const importBtn = document.getElementById("import-btn");
+
+// Import plan shown in the preview, applied when the user confirms
+let pendingPlan = null;
+
+const FORMAT_NAMES = {
+  json: "JSON",
+  hosts: "hosts file",
+  plain: "plain list"
+};
+
+/**
+ * Show a status line under the import form.
+ */
+function showStatus(message, kind) {
+  statusEl.textContent = message;
+  statusEl.className = `status${kind ? ` ${kind}` : ""}`;
+}
+
+/**
+ * Download the current blocklist and settings as a JSON file.
+ */
+async function exportList() {
+  try {
+    const data = await getSettings(SETTINGS_DEFAULTS);
+    const json = JSON.stringify(buildExport(data), null, 2);
+    const url = URL.createObjectURL(new Blob([json], { type: "application/json" }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `website-blocker-${new Date().toISOString().slice(0, 10)}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  } catch (error) {
+    console.error('[Website Blocker] Error exporting blocklist:', error);
+    showStatus("Export failed.", "error");
+  }
+}
+
+/**
+ * Render the list of entries to add and the skipped values with reasons.
+ */
+function renderPreview(format, plan) {
+  const addList = document.getElementById("add-list");
+  const skipList = document.getElementById("skip-list");
+  addList.innerHTML = "";
+  skipList.innerHTML = "";
+
+  const added = [
+    ...plan.toAdd,
+    ...plan.allowedToAdd.map((domain) => `${domain} (allowlist)`)
+  ];
+  added.forEach((value) => {
+    const li = document.createElement("li");
+    li.textContent = value;
+    addList.appendChild(li);
+  });
+
+  plan.skipped.forEach(({ value, reason }) => {
+    const li = document.createElement("li");
+    li.textContent = value;
+    const reasonEl = document.createElement("span");
+    reasonEl.className = "reason";
+    reasonEl.textContent = `— ${reason}`;
+    li.appendChild(reasonEl);
+    skipList.appendChild(li);
+  });
+
+  const merged = Object.keys(plan.siteOptions).length;
+  document.getElementById("preview-format").textContent =
+    `Detected format: ${FORMAT_NAMES[format]}.` +
+    (merged > 0 ? ` Settings for ${merged} site(s) will be merged.` : "");
+  document.getElementById("add-count").textContent = added.length;
+  document.getElementById("skip-count").textContent = plan.skipped.length;
+
+  const hasChanges = added.length > 0 || merged > 0;
+  importBtn.disabled = !hasChanges;
+  importBtn.textContent = hasChanges ? `Import ${added.length} site(s)` : "Nothing to import";
+  previewEl.classList.remove("hidden");
+}
+
+/**
+ * Parse the pasted text and preview what importing it would change.
+ */
+async function previewImport() {
+  pendingPlan = null;
+  previewEl.classList.add("hidden");
+  if (importText.value.trim() === "") {
+    showStatus("Load a file or paste a list first.", "error");
+    return;
+  }
+
+  try {
+    const parsed = parseList(importText.value);
+    const existing = await getSettings(SETTINGS_DEFAULTS);
+    pendingPlan = await prepareImport(parsed, existing);
+    renderPreview(parsed.format, pendingPlan);
+    showStatus("");
+  } catch (error) {
+    showStatus(error.message, "error");
+  }
+}
+
+/**
+ * Merge the previewed plan into storage. Existing per-site settings win over
+ * imported ones. New entries go to the active profile's first group (see
+ * profiles.js).
+ */
+async function applyImport() {
+  if (!pendingPlan) return;
+  const plan = pendingPlan;
+
+  try {
+    const data = await getSettings(SETTINGS_DEFAULTS);
+    const blockedSites = [...new Set([...data.blockedSites, ...plan.toAdd])].sort();
+    const allowedSites = [...new Set([...data.allowedSites, ...plan.allowedToAdd])].sort();
+    const siteOptions = { ...data.siteOptions };
+    for (const [entry, options] of Object.entries(plan.siteOptions)) {
+      siteOptions[entry] = { ...options, ...siteOptions[entry] };
+    }
+
+    const siteAddedAt = { ...data.siteAddedAt };
+    const now = Date.now();
+    for (const entry of plan.toAdd) siteAddedAt[entry] = now;
+    const values = { blockedSites, siteOptions, allowedSites, siteAddedAt };
+    const groupId = getTargetGroup(data);
+    if (groupId !== DEFAULT_GROUP_ID && plan.toAdd.length > 0) {
+      values.siteGroups = { ...data.siteGroups };
+      for (const entry of plan.toAdd) values.siteGroups[entry] = groupId;
+    }
+    await setSettings(values);
+    pendingPlan = null;
+    previewEl.classList.add("hidden");
+    importText.value = "";
+    showStatus(
+      `Imported ${plan.toAdd.length + plan.allowedToAdd.length} site(s).`,
+      "ok"
+    );
+  } catch (error) {
+    console.error('[Website Blocker] Error importing blocklist:', error);
+    if (error.message && error.message.includes('QUOTA')) {
+      showStatus("Storage quota exceeded! Nothing was imported.", "error");
+    } else {
+      showStatus("Import failed. Try again.", "error");
+    }
+  }
+}
+
+// Load a chosen file into the text area and preview it
+document.getElementById("import-file").addEventListener("change", async (e) => {
+  const file = e.target.files[0];
+  if (!file) return;
+  importText.value = await file.text();
+  previewImport();
+});
+
+document.getElementById("export-btn").addEventListener("click", exportList);
+document.getElementById("preview-btn").addEventListener("click", previewImport);
+importBtn.addEventListener("click", applyImport);
+
+// Editing the text invalidates the preview
+importText.addEventListener("input", () => {
+  pendingPlan = null;
+  previewEl.classList.add("hidden");
+});
@@ -0,0 +1,217 @@
+/**
+ * Blocklist file formats for Website Blocker.
+ *
+ * Exports the blocklist and its settings as versioned JSON, and reads
+ * blocklists back from that JSON, /etc/hosts-style files ("0.0.0.0 example.com")
+ * and plain newline-separated domain lists. Every imported entry is
+ * normalized and validated with the helpers in rules.js before it is offered
+ * for import.
+ */
+
+const EXPORT_FORMAT = "website-blocker";
+const EXPORT_VERSION = 1;
+
+// Addresses hosts-style blocklists point blocked names at
+const HOSTS_ADDRESS = /^(0\.0\.0\.0|127\.0\.0\.1|::1?|0)$/;
+
+/**
+ * Build the versioned export document for the blocklist and its settings.
+ */
+function buildExport(data) {
+  return {
+    format: EXPORT_FORMAT,
+    version: EXPORT_VERSION,
+    exportedAt: new Date().toISOString(),
+    blockedSites: data.blockedSites,
+    siteOptions: data.siteOptions,
+    allowedSites: data.allowedSites
+  };
+}
+
+/**
+ * Split text into lines, dropping blank lines and "#" / "!" comments.
+ */
+function significantLines(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(^|\s)#.*$/, "").trim())
+    .filter((line) => line && !line.startsWith("!"));
+}
+
+/**
+ * Guess the format of a pasted or loaded list: "json", "hosts" or "plain".
+ */
+function detectListFormat(text) {
+  const trimmed = text.trim();
+  if (trimmed.startsWith("{") || trimmed.startsWith("[")) return "json";
+  const isHostsLine = (line) => {
+    const tokens = line.split(/\s+/);
+    return tokens.length > 1 && HOSTS_ADDRESS.test(tokens[0]);
+  };
+  return significantLines(text).some(isHostsLine) ? "hosts" : "plain";
+}
+
+/**
+ * Parse list text into raw candidate entries (not yet normalized).
+ * JSON exports may also carry siteOptions and allowedSites.
+ * Throws an Error with a user-facing message for unreadable JSON.
+ */
+function parseList(text) {
+  const format = detectListFormat(text);
+  const result = { format, entries: [], siteOptions: {}, allowedSites: [] };
+
+  if (format === "json") {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      throw new Error("Not valid JSON");
+    }
+    if (Array.isArray(data)) {
+      result.entries = data;
+      return result;
+    }
+    if (!data || !Array.isArray(data.blockedSites)) {
+      throw new Error("JSON has no blockedSites list");
+    }
+    if (data.format === EXPORT_FORMAT && data.version > EXPORT_VERSION) {
+      throw new Error(`Exported by a newer version (format v${data.version})`);
+    }
+    result.entries = data.blockedSites;
+    if (data.siteOptions && typeof data.siteOptions === "object") {
+      result.siteOptions = data.siteOptions;
+    }
+    if (Array.isArray(data.allowedSites)) {
+      result.allowedSites = data.allowedSites;
+    }
+    return result;
+  }
+
+  for (const line of significantLines(text)) {
+    const tokens = line.split(/\s+/);
+    if (format === "hosts" && HOSTS_ADDRESS.test(tokens[0])) {
+      result.entries.push(...tokens.slice(1));
+    } else {
+      result.entries.push(line);
+    }
+  }
+  return result;
+}
+
+/**
+ * Keep only well-formed settings from imported site options.
+ */
+async function sanitizeSiteOptions(options) {
+  const clean = {};
+  if (!options || typeof options !== "object") return clean;
+
+  const isTime = (value) => /^\d{2}:\d{2}$/.test(value);
+  if (Array.isArray(options.schedule)) {
+    const schedule = options.schedule
+      .filter((w) =>
+        w && Array.isArray(w.days) && w.days.length > 0 &&
+        w.days.every((d) => Number.isInteger(d) && d >= 0 && d <= 6) &&
+        isTime(w.start) && isTime(w.end)
+      )
+      .map((w) => ({ days: [...w.days], start: w.start, end: w.end }));
+    if (schedule.length > 0) clean.schedule = schedule;
+  }
+
+  if (Array.isArray(options.exceptions)) {
+    const exceptions = [];
+    for (const raw of options.exceptions) {
+      if (typeof raw !== "string") continue;
+      const exception = normalizeEntry(raw);
+      if (!(await validateEntry(exception))) exceptions.push(exception);
+    }
+    if (exceptions.length > 0) clean.exceptions = [...new Set(exceptions)].sort();
+  }
+
+  const budget = options.budgetMinutes;
+  if (Number.isInteger(budget) && budget >= 1 && budget <= 1440) {
+    clean.budgetMinutes = budget;
+  }
+  if (options.blockEmbeds === true) clean.blockEmbeds = true;
+  if (typeof options.redirectTo === "string") {
+    const target = options.redirectTo === "destination"
+      ? "destination"
+      : normalizeWebUrl(options.redirectTo);
+    if (target) clean.redirectTo = target;
+  }
+  if (typeof options.message === "string" && options.message.trim()) {
+    clean.message = options.message.trim().slice(0, BLOCK_MESSAGE_MAX_LENGTH);
+  }
+  return clean;
+}
+
+/**
+ * Work out what importing a parsed list would change, without saving.
+ * Hosts and plain lists hold bare domains and go through normalizeDomain /
+ * isValidDomain; JSON exports may hold any entry type (see rules.js).
+ * Returns the entries to add, the skipped values with a reason, sanitized
+ * options for the imported entries and the allowlist domains to add.
+ */
+async function prepareImport(parsed, existing) {
+  const plan = { toAdd: [], skipped: [], siteOptions: {}, allowedToAdd: [] };
+  const blocked = new Set(existing.blockedSites);
+  const seen = new Set();
+
+  for (const raw of parsed.entries) {
+    if (typeof raw !== "string" || raw.trim() === "") {
+      plan.skipped.push({ value: String(raw), reason: "not a site" });
+      continue;
+    }
+    let entry;
+    let error;
+    if (parsed.format === "json") {
+      entry = normalizeEntry(raw);
+      error = await validateEntry(entry);
+    } else {
+      entry = normalizeDomain(raw);
+      error = isValidDomain(entry) ? null : "invalid domain";
+    }
+
+    if (error) {
+      plan.skipped.push({ value: raw, reason: error.toLowerCase() });
+    } else if (blocked.has(entry)) {
+      plan.skipped.push({ value: entry, reason: "already blocked" });
+    } else if (seen.has(entry)) {
+      plan.skipped.push({ value: entry, reason: "duplicate" });
+    } else {
+      seen.add(entry);
+      plan.toAdd.push(entry);
+    }
+
+    if (!error && parsed.siteOptions[raw] && !plan.siteOptions[entry]) {
+      const options = await sanitizeSiteOptions(parsed.siteOptions[raw]);
+      if (Object.keys(options).length > 0) plan.siteOptions[entry] = options;
+    }
+  }
+
+  const allowed = new Set(existing.allowedSites);
+  for (const raw of parsed.allowedSites) {
+    if (typeof raw !== "string") continue;
+    const domain = normalizeDomain(raw);
+    if (isValidDomain(domain) && !allowed.has(domain)) {
+      allowed.add(domain);
+      plan.allowedToAdd.push(domain);
+    }
+  }
+  return plan;
+}
+
+/**
+ * Read the sites of a subscribed list (see background.js). Lists are parsed
+ * like imports, but only their blocklist entries are used: settings and
+ * allowlists in a JSON list are ignored. Throws an Error with a user-facing
+ * message for unreadable lists.
+ */
+async function parseSubscribedList(text) {
+  const parsed = parseList(text);
+  const plan = await prepareImport(
+    { ...parsed, siteOptions: {}, allowedSites: [] },
+    { blockedSites: [], allowedSites: [] }
+  );
+  if (plan.toAdd.length === 0) throw new Error("No sites found in the list");
+  return plan.toAdd;
+}
@@ -0,0 +1,173 @@
+/**
+ * Options page for Website Blocker.
+ *
+ * Edits the preferences described in preferences.js (history length, the
+ * popup's prefill, bypass settings and block page behavior) plus the custom
+ * block page quotes. Preferences are saved as soon as a field changes and
+ * follow changes made elsewhere, such as on another browser.
+ */
+
+// Most custom quotes the block page picks from
+const MAX_QUOTES = 50;
+
+const quotesInput = document.getElementById("quotes-input");
+
+/**
+ * Show a status line in one of the panels ("general", "bypass" or
+ * "block-page").
+ */
+function showStatus(panel, message, kind) {
+  const statusEl = document.getElementById(`${panel}-status`);
+  statusEl.textContent = message;
+  statusEl.className = `status${kind ? ` ${kind}` : ""}`;
+}
+
+/**
+ * Fill in the fields of the given preferences.
+ */
+function renderPreferences(values) {
+  if ("prefillDomain" in values) {
+    document.getElementById("prefill-domain").checked = values.prefillDomain;
+  }
+  if ("retentionDays" in values) {
+    document.getElementById("retention-days").value = values.retentionDays;
+  }
+  if (values.bypassSettings) {
+    const settings = values.bypassSettings;
+    document.querySelectorAll("#bypass-durations input").forEach((checkbox) => {
+      checkbox.checked = settings.durations.includes(Number(checkbox.value));
+    });
+    document.getElementById("bypass-max").value = settings.maxPerDay;
+    document.getElementById("bypass-cooldown").value = settings.cooldownMinutes;
+    document.getElementById("bypass-friction").value = settings.friction;
+    document.getElementById("bypass-countdown").value = settings.countdownSeconds;
+    document.getElementById("bypass-intent").checked = settings.askIntent;
+  }
+  if (values.blockPage) {
+    document.getElementById("block-page-show").value = values.blockPage.show;
+    document.getElementById("block-page-go-back").value = values.blockPage.goBack;
+  }
+}
+
+/**
+ * Read a panel's fields into the preferences it edits.
+ */
+function readPanel(panel) {
+  switch (panel) {
+    case "general":
+      return {
+        prefillDomain: document.getElementById("prefill-domain").checked,
+        retentionDays: Number(document.getElementById("retention-days").value)
+      };
+    case "bypass":
+      return {
+        bypassSettings: {
+          durations: [...document.querySelectorAll("#bypass-durations input:checked")]
+            .map((checkbox) => Number(checkbox.value)),
+          maxPerDay: Number(document.getElementById("bypass-max").value),
+          cooldownMinutes: Number(document.getElementById("bypass-cooldown").value),
+          friction: document.getElementById("bypass-friction").value,
+          countdownSeconds: Number(document.getElementById("bypass-countdown").value),
+          askIntent: document.getElementById("bypass-intent").checked
+        }
+      };
+    default:
+      return {
+        blockPage: {
+          show: document.getElementById("block-page-show").value,
+          goBack: document.getElementById("block-page-go-back").value
+        }
+      };
+  }
+}
+
+/**
+ * Validate and save the preferences a panel edits. Invalid values are left
+ * in the field with the reason shown until they are fixed.
+ */
+async function savePanel(panel) {
+  const values = readPanel(panel);
+  for (const [key, value] of Object.entries(values)) {
+    const error = validatePreference(key, value);
+    if (error) {
+      showStatus(panel, error, "error");
+      return;
+    }
+  }
+  try {
+    await setPreferences(values);
+    showStatus(panel, "Saved.", "ok");
+  } catch (error) {
+    console.error('[Website Blocker] Error saving settings:', error);
+    showStatus(panel, "Failed to save settings.", "error");
+  }
+}
+
+/**
+ * Persist the custom block page quotes, one per line; an empty field brings
+ * back the built-in ones.
+ */
+async function saveQuotes() {
+  const quotes = [...new Set(
+    quotesInput.value.split("\n").map((line) => line.trim()).filter(Boolean)
+  )];
+  if (quotes.length > MAX_QUOTES || quotes.some((q) => q.length > BLOCK_MESSAGE_MAX_LENGTH)) {
+    showStatus("block-page", `Up to ${MAX_QUOTES} quotes of ${BLOCK_MESSAGE_MAX_LENGTH} characters.`, "error");
+    return;
+  }
+  try {
+    await setSettings({ blockPageQuotes: quotes });
+    quotesInput.value = quotes.join("\n");
+    showStatus("block-page", "Quotes saved.", "ok");
+  } catch (error) {
+    console.error('[Website Blocker] Error saving quotes:', error);
+    showStatus("block-page", "Failed to save quotes.", "error");
+  }
+}
+
+/**
+ * Hide the bypass settings while strict mode is on, as the popup hides its
+ * other loosening controls.
+ */
+function renderStrictMode(strictMode) {
+  document.body.classList.toggle("strict", !!strictMode && strictMode.until > Date.now());
+}
+
+for (const panel of ["general", "bypass", "block-page"]) {
+  document.getElementById(`${panel}-panel`).addEventListener("change", (e) => {
+    // The quotes are saved with their own button
+    if (e.target !== quotesInput) savePanel(panel);
+  });
+}
+
+document.getElementById("quotes-form").addEventListener("submit", (e) => {
+  e.preventDefault();
+  saveQuotes();
+});
+
+// Follow changes from the popup, other tabs and other browsers
+onPreferencesChanged(renderPreferences);
+
+onStorageChanged((changes, area) => {
+  if (area === "sync" && changes.blockPageQuotes) {
+    quotesInput.value = (changes.blockPageQuotes.newValue || []).join("\n");
+  }
+  if (area === "local" && changes.strictMode) {
+    renderStrictMode(changes.strictMode.newValue);
+  }
+});
+
+Promise.all([
+  getPreferences(),
+  getSettings({ blockPageQuotes: [] }),
+  getLocalData({ strictMode: null })
+])
+  .then(([preferences, settings, data]) => {
+    renderPreferences(preferences);
+    quotesInput.value = settings.blockPageQuotes.join("\n");
+    renderStrictMode(data.strictMode);
+  })
+  .catch((error) => {
+    console.error('[Website Blocker] Error loading settings:', error);
+    showStatus("general", "Error loading settings.", "error");
+  });
@@ -1,193 +1,2000 @@
 /**
  * Popup script for Website Blocker.
  *
- * Manages the UI for adding/removing blocked domains
- * and persists the list to chrome.storage.sync.
+ * Manages the UI for adding/removing blocked domains, paths, wildcards and
+ * regexes (see rules.js), their exceptions, schedules and daily budgets, the
+ * blocked keywords, subscribed lists, the allowlist, the blocklist/allowlist
+ * mode switch and the groups and profiles (see profiles.js), and persists
+ * them to sync storage through storage.js. The blocklist can be searched,
+ * sorted and edited in bulk.
+ * Also turns on strict mode, starts and stops focus sessions and pauses
+ * blocking via the background worker. Everything else is configured on the
+ * options page (options.html).
  */
 
 const form = document.getElementById("add-form");
 const input = document.getElementById("domain-input");
 const siteList = document.getElementById("site-list");
 const emptyMsg = document.getElementById("empty-msg");
+const keywordForm = document.getElementById("keyword-form");
+const keywordInput = document.getElementById("keyword-input");
+const keywordList = document.getElementById("keyword-list");
+const keywordEmptyMsg = document.getElementById("keyword-empty-msg");
+const subscriptionForm = document.getElementById("subscription-form");
+const subscriptionInput = document.getElementById("subscription-input");
+const subscriptionList = document.getElementById("subscription-list");
+const subscriptionEmptyMsg = document.getElementById("subscription-empty-msg");
+const allowForm = document.getElementById("allow-form");
+const allowInput = document.getElementById("allow-input");
+const allowList = document.getElementById("allow-list");
+const allowEmptyMsg = document.getElementById("allow-empty-msg");
+const modeButtons = document.querySelectorAll("#mode-switch button");
+const focusSetup = document.getElementById("focus-setup");
+const focusStatus = document.getElementById("focus-status");
+const focusSitesEl = document.getElementById("focus-sites");
+const searchInput = document.getElementById("site-search");
+const sortSelect = document.getElementById("site-sort");
 
 // Constants
 const PLACEHOLDER_RESET_MS = 1500;
 const SUCCESS_FEEDBACK_MS = 300;
+// Sites from subscribed lists shown under the blocklist before "and N more"
+const SUBSCRIBED_ROWS_SHOWN = 100;
+
+// Days in display order (Monday first); values follow Date.prototype.getDay()
+const WEEK_DAYS = [
+  { day: 1, label: "Mon" },
+  { day: 2, label: "Tue" },
+  { day: 3, label: "Wed" },
+  { day: 4, label: "Thu" },
+  { day: 5, label: "Fri" },
+  { day: 6, label: "Sat" },
+  { day: 0, label: "Sun" }
+];
+
+// Where a block sends the tab; "custom" is stored as the URL itself
+const REDIRECT_CHOICES = [
+  { value: "page", label: "Blocked page" },
+  { value: "destination", label: "Productive destination" },
+  { value: "custom", label: "Custom URL" }
+];
+
+// Per-site options (schedules, exceptions, budgets) as last loaded from storage
+let siteOptions = {};
+// Groups, profiles, the active profile and entry groups as last loaded
+let profileSettings = { ...PROFILE_DEFAULTS };
+// When each entry was added (ms timestamps; unknown for older entries)
+let siteAddedAt = {};
+// Blocks per entry over the kept history (the retentionDays preference),
+// from the worker's blockStats
+let blockCounts = {};
+// Entries ticked for a bulk move or removal, and the entries the search shows
+const selectedSites = new Set();
+let shownSites = [];
+// End of the global pause (ms timestamp) as last read from storage, if any
+let pausedUntil = null;
+// Entries of subscribed lists, each mapped to the hosts of the lists it's in
+let subscribedSources = new Map();
+// Today's active-tab seconds per host, as counted by the background worker
+let usageToday = {};
+// Domain whose schedule editor is currently open, if any
+let editingSite = null;
+// Domain whose "add exception" form is currently open, if any
+let exceptionSite = null;
+// Blocked sites the user unticked for the next focus session
+const focusExcluded = new Set();
+// Tab host the blocklist input was prefilled from and the value it got, if any
+let prefill = null;
+// Running focus session as last read from storage, if any
+let focusSession = null;
+// End of strict mode (ms timestamp) as last read from storage, if any
+let strictUntil = null;
+
+/**
+ * Validate an exception entry against the blocklist entry it belongs to.
+ * When both have a concrete host, the exception must be on the same host or
+ * one of its subdomains. Returns an error message, or null if valid.
+ */
+async function validateException(parent, exception) {
+  const error = await validateEntry(exception);
+  if (error) return error;
+  if (exception === parent) return "Same as the blocked entry";
+
+  const parentHost = getEntryHost(parent);
+  const host = getEntryHost(exception);
+  if (parentHost && host && host !== parentHost && !host.endsWith(`.${parentHost}`)) {
+    return `Must be inside ${parentHost}`;
+  }
+  return null;
+}
+
+/**
+ * While strict mode is on, refuse a change with an error and return true.
+ * The background worker reverts such changes anyway; this explains why.
+ */
+function refuseIfStrict(field = input) {
+  if (!(strictUntil > Date.now())) return false;
+  showError("Locked by strict mode", field);
+  return true;
+}
+
+/**
+ * Show error message in an input's placeholder (the blocklist input by default).
+ */
+function showError(message, field = input) {
+  if (!field.dataset.placeholder) field.dataset.placeholder = field.placeholder;
+  field.placeholder = message;
+  field.classList.add("error");
+  setTimeout(() => {
+    field.placeholder = field.dataset.placeholder;
+    field.classList.remove("error");
+  }, PLACEHOLDER_RESET_MS);
+}
+
+/**
+ * Show success feedback with green flash.
+ */
+function showSuccess(field = input) {
+  field.classList.add("success");
+  setTimeout(() => {
+    field.classList.remove("success");
+  }, SUCCESS_FEEDBACK_MS);
+}
+
+/**
+ * Describe a set of days compactly, e.g. "Mon–Fri" or "Sat, Sun".
+ */
+function formatDays(days) {
+  if (days.length === 7) return "Every day";
+  const runs = [];
+  let run = [];
+  WEEK_DAYS.forEach(({ day, label }) => {
+    if (days.includes(day)) {
+      run.push(label);
+    } else if (run.length) {
+      runs.push(run);
+      run = [];
+    }
+  });
+  if (run.length) runs.push(run);
+  return runs
+    .map((r) => (r.length >= 3 ? `${r[0]}\u2013${r[r.length - 1]}` : r.join(", ")))
+    .join(", ");
+}
+
+/**
+ * Summarize a site's schedule for the list, e.g. "Mon–Fri 09:00–17:30".
+ */
+function formatSchedule(schedule) {
+  if (!Array.isArray(schedule) || schedule.length === 0) return "Always";
+  return schedule
+    .map((w) => `${formatDays(w.days)} ${w.start}\u2013${w.end}`)
+    .join("; ");
+}
+
+/**
+ * Summarize a site's daily budget and today's usage, e.g. "20 min/day (12 used)".
+ */
+function formatBudget(domain, budgetMinutes) {
+  const usedMinutes = Math.floor(getEntryUsageSeconds(domain, usageToday) / 60);
+  return `${budgetMinutes} min/day (${Math.min(usedMinutes, budgetMinutes)} used)`;
+}
+
+/**
+ * Build the inline editor for a site's blocking windows, daily budget, embed
+ * blocking, redirect target, block page message and group.
+ */
+function buildScheduleEditor(domain) {
+  const options = siteOptions[domain] || {};
+  const windows = (options.schedule || []).map((w) => ({ ...w, days: [...w.days] }));
+
+  const editor = document.createElement("div");
+  editor.className = "schedule-editor";
+
+  // Budgets count time on a concrete host, which regexes don't have
+  const budgetInput = document.createElement("input");
+  if (getEntryHost(domain)) {
+    const budgetLabel = document.createElement("label");
+    budgetLabel.className = "budget-field";
+    budgetInput.type = "number";
+    budgetInput.min = "1";
+    budgetInput.max = "1440";
+    budgetInput.placeholder = "none";
+    budgetInput.value = options.budgetMinutes || "";
+    budgetLabel.appendChild(document.createTextNode("Daily budget"));
+    budgetLabel.appendChild(budgetInput);
+    budgetLabel.appendChild(document.createTextNode("min"));
+    budgetLabel.title = "Allow the site for this many minutes a day before blocking it";
+    editor.appendChild(budgetLabel);
+  }
+
+  const embedLabel = document.createElement("label");
+  embedLabel.className = "embed-field";
+  const embedInput = document.createElement("input");
+  embedInput.type = "checkbox";
+  embedInput.checked = !!options.blockEmbeds;
+  embedLabel.appendChild(embedInput);
+  embedLabel.appendChild(document.createTextNode("Also block embeds on other sites"));
+  embedLabel.title = "Block this site's frames, videos, scripts, images and requests inside other pages";
+  editor.appendChild(embedLabel);
+
+  const redirectLabel = document.createElement("label");
+  redirectLabel.className = "redirect-field";
+  const redirectSelect = document.createElement("select");
+  REDIRECT_CHOICES.forEach(({ value, label }) => {
+    const option = document.createElement("option");
+    option.value = value;
+    option.textContent = label;
+    redirectSelect.appendChild(option);
+  });
+  const redirectInput = document.createElement("input");
+  redirectInput.type = "text";
+  redirectInput.placeholder = "e.g. wiki.example.com";
+  redirectInput.spellcheck = false;
+  if (options.redirectTo === "destination") {
+    redirectSelect.value = "destination";
+  } else if (options.redirectTo) {
+    redirectSelect.value = "custom";
+    redirectInput.value = options.redirectTo;
+  }
+  const toggleRedirectInput = () => {
+    redirectInput.classList.toggle("hidden", redirectSelect.value !== "custom");
+  };
+  redirectSelect.addEventListener("change", toggleRedirectInput);
+  toggleRedirectInput();
+  redirectLabel.appendChild(document.createTextNode("On block"));
+  redirectLabel.appendChild(redirectSelect);
+  redirectLabel.appendChild(redirectInput);
+  editor.appendChild(redirectLabel);
+
+  const messageLabel = document.createElement("label");
+  messageLabel.className = "message-field";
+  const messageInput = document.createElement("input");
+  messageInput.type = "text";
+  messageInput.maxLength = BLOCK_MESSAGE_MAX_LENGTH;
+  messageInput.placeholder = "e.g. You said you'd finish the report first";
+  messageInput.value = options.message || "";
+  messageLabel.appendChild(document.createTextNode("Message"));
+  messageLabel.appendChild(messageInput);
+  messageLabel.title = "Shown on the blocked page instead of a quote";
+  editor.appendChild(messageLabel);
+
+  const groupLabel = document.createElement("label");
+  groupLabel.className = "group-field";
+  const groupSelect = document.createElement("select");
+  profileSettings.blockGroups.forEach((group) => {
+    const option = document.createElement("option");
+    option.value = group.id;
+    option.textContent = group.name;
+    groupSelect.appendChild(option);
+  });
+  groupSelect.value = getEntryGroup(domain, profileSettings);
+  groupLabel.appendChild(document.createTextNode("Group"));
+  groupLabel.appendChild(groupSelect);
+  editor.appendChild(groupLabel);
+
+  const rows = document.createElement("div");
+  editor.appendChild(rows);
+
+  const renderRows = () => {
+    rows.innerHTML = "";
+    if (windows.length === 0) {
+      const note = document.createElement("p");
+      note.className = "schedule-note";
+      note.textContent = "No windows \u2014 applies around the clock.";
+      rows.appendChild(note);
+    }
+    windows.forEach((w, index) => {
+      const row = document.createElement("div");
+      row.className = "schedule-row";
+
+      const dayPicker = document.createElement("div");
+      dayPicker.className = "day-picker";
+      WEEK_DAYS.forEach(({ day, label }) => {
+        const dayBtn = document.createElement("button");
+        dayBtn.type = "button";
+        dayBtn.className = "day-btn";
+        dayBtn.textContent = label[0];
+        dayBtn.title = label;
+        dayBtn.classList.toggle("active", w.days.includes(day));
+        dayBtn.addEventListener("click", () => {
+          w.days = w.days.includes(day)
+            ? w.days.filter((d) => d !== day)
+            : [...w.days, day];
+          dayBtn.classList.toggle("active", w.days.includes(day));
+        });
+        dayPicker.appendChild(dayBtn);
+      });
+
+      const start = document.createElement("input");
+      start.type = "time";
+      start.value = w.start;
+      start.addEventListener("change", () => { w.start = start.value; });
+
+      const end = document.createElement("input");
+      end.type = "time";
+      end.value = w.end;
+      end.title = "An end at or before the start runs past midnight";
+      end.addEventListener("change", () => { w.end = end.value; });
+
+      const removeBtn = document.createElement("button");
+      removeBtn.type = "button";
+      removeBtn.className = "remove-btn";
+      removeBtn.textContent = "\u00d7";
+      removeBtn.setAttribute("aria-label", "Remove window");
+      removeBtn.addEventListener("click", () => {
+        windows.splice(index, 1);
+        renderRows();
+      });
+
+      row.appendChild(dayPicker);
+      row.appendChild(start);
+      row.appendChild(end);
+      row.appendChild(removeBtn);
+      rows.appendChild(row);
+    });
+  };
+  renderRows();
+
+  const actions = document.createElement("div");
+  actions.className = "schedule-actions";
+
+  const addBtn = document.createElement("button");
+  addBtn.type = "button";
+  addBtn.textContent = "+ Window";
+  addBtn.addEventListener("click", () => {
+    windows.push({ days: [1, 2, 3, 4, 5], start: "09:00", end: "17:00" });
+    renderRows();
+  });
+
+  const saveBtn = document.createElement("button");
+  saveBtn.type = "button";
+  saveBtn.className = "primary";
+  saveBtn.textContent = "Save";
+  saveBtn.addEventListener("click", () =>
+    saveSchedule(domain, windows, {
+      budget: budgetInput.value,
+      blockEmbeds: embedInput.checked,
+      redirect: redirectSelect.value,
+      redirectUrl: redirectInput.value,
+      message: messageInput.value,
+      group: groupSelect.value
+    })
+  );
+
+  actions.appendChild(addBtn);
+  actions.appendChild(saveBtn);
+  editor.appendChild(actions);
+  return editor;
+}
+
+/**
+ * Render a checkbox per site of the active profile for choosing what a focus
+ * session blocks.
+ */
+function renderFocusSites(sites) {
+  focusSitesEl.innerHTML = "";
+  sites.forEach((domain) => {
+    const label = document.createElement("label");
+    const checkbox = document.createElement("input");
+    checkbox.type = "checkbox";
+    checkbox.checked = !focusExcluded.has(domain);
+    checkbox.addEventListener("change", () => {
+      if (checkbox.checked) {
+        focusExcluded.delete(domain);
+      } else {
+        focusExcluded.add(domain);
+      }
+    });
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(domain));
+    focusSitesEl.appendChild(label);
+  });
+}
+
+/**
+ * Format a duration in milliseconds as m:ss, or h:mm:ss from an hour up.
+ */
+function formatRemaining(ms) {
+  const totalSeconds = Math.max(0, Math.ceil(ms / 1000));
+  const hours = Math.floor(totalSeconds / 3600);
+  const minutes = Math.floor(totalSeconds / 60) % 60;
+  const seconds = String(totalSeconds % 60).padStart(2, "0");
+  if (hours > 0) return `${hours}:${String(minutes).padStart(2, "0")}:${seconds}`;
+  return `${minutes}:${seconds}`;
+}
+
+/**
+ * Show either the session setup form or the running session's countdown.
+ */
+function renderFocusStatus() {
+  if (!focusSession) {
+    focusSetup.classList.remove("hidden");
+    focusStatus.classList.add("hidden");
+    return;
+  }
+  focusSetup.classList.add("hidden");
+  focusStatus.classList.remove("hidden");
+  const phase = focusSession.phase === "focus" ? "Focus" : "Break";
+  document.getElementById("focus-phase").textContent =
+    `${phase} ${focusSession.cycle}/${focusSession.cycles}`;
+  document.getElementById("focus-remaining").textContent =
+    formatRemaining(focusSession.phaseEndsAt - Date.now());
+}
+
+/**
+ * Order entries (already sorted by name) as picked in the sort menu: by name,
+ * newest first or most blocked first. Ties keep their name order.
+ */
+function sortEntries(entries) {
+  const sorted = [...entries];
+  if (sortSelect.value === "added") {
+    sorted.sort((a, b) => (siteAddedAt[b] || 0) - (siteAddedAt[a] || 0));
+  } else if (sortSelect.value === "blocks") {
+    sorted.sort((a, b) => (blockCounts[b] || 0) - (blockCounts[a] || 0));
+  }
+  return sorted;
+}
+
+/**
+ * Render the list of blocked sites in the popup under their groups (dimmed
+ * when the active profile doesn't block them), followed by the sites only
+ * subscribed lists block (read-only, tagged with their list). Only entries
+ * matching the search are shown, in the order picked in the sort menu.
+ */
+function renderList(sites) {
+  renderFocusSites(getProfileEntries(sites, profileSettings));
+  renderGroupList(sites);
+  siteList.innerHTML = "";
+  for (const entry of selectedSites) {
+    if (!sites.includes(entry)) selectedSites.delete(entry);
+  }
+
+  const query = searchInput.value.trim().toLowerCase();
+  const matches = (entry) => entry.toLowerCase().includes(query);
+  const shown = sortEntries(sites.filter(matches));
+  const subscribedOnly = [...subscribedSources.keys()]
+    .filter((entry) => !sites.includes(entry) && matches(entry));
+  shownSites = shown;
+  renderBulkBar();
+  if (shown.length === 0 && subscribedOnly.length === 0) {
+    emptyMsg.textContent = query ? "No sites match your search." : "No sites blocked yet.";
+    emptyMsg.classList.remove("hidden");
+    return;
+  }
+
+  emptyMsg.classList.add("hidden");
+
+  const profile = getActiveProfile(profileSettings);
+  const activeGroups = new Set(profile ? profile.groups : []);
+  const groupEntries = new Map(profileSettings.blockGroups.map((group) => [group.id, []]));
+  shown.forEach((domain) => {
+    groupEntries.get(getEntryGroup(domain, profileSettings)).push(domain);
+  });
+  profileSettings.blockGroups.forEach((group) => {
+    const entries = groupEntries.get(group.id);
+    if (entries.length === 0) return;
+    const active = activeGroups.has(group.id);
+    if (profileSettings.blockGroups.length > 1 || !active) {
+      siteList.appendChild(buildGroupHeading(group, entries.length, active));
+    }
+    entries.forEach((domain) => {
+      const li = buildSiteRow(domain, sites);
+      li.classList.toggle("inactive", !active);
+      siteList.appendChild(li);
+    });
+  });
+
+  subscribedOnly.slice(0, SUBSCRIBED_ROWS_SHOWN).forEach((entry) => {
+    siteList.appendChild(buildSubscribedRow(entry, subscribedSources.get(entry)));
+  });
+  if (subscribedOnly.length > SUBSCRIBED_ROWS_SHOWN) {
+    const li = document.createElement("li");
+    const more = document.createElement("span");
+    more.className = "schedule-summary";
+    more.textContent = `\u2026and ${subscribedOnly.length - SUBSCRIBED_ROWS_SHOWN} more from subscribed lists`;
+    li.appendChild(more);
+    siteList.appendChild(li);
+  }
+}
+
+/**
+ * Build the heading over a group's entries in the blocklist, noting when the
+ * active profile doesn't block the group.
+ */
+function buildGroupHeading(group, count, active) {
+  const li = document.createElement("li");
+  li.className = "group-heading";
+  li.textContent = `${group.name} \u00b7 ${count}`;
+  if (!active) {
+    const note = document.createElement("span");
+    note.className = "mode-note";
+    note.textContent = " \u2014 not in this profile";
+    li.appendChild(note);
+  }
+  return li;
+}
+
+/**
+ * Build a blocklist entry's row with its buttons, exceptions and any open
+ * editor. `sites` is the list to re-render when an editor opens or closes.
+ */
+function buildSiteRow(domain, sites) {
+  const li = document.createElement("li");
+  const options = siteOptions[domain] || {};
+
+  const row = document.createElement("div");
+  row.className = "site-row";
+
+  const checkbox = document.createElement("input");
+  checkbox.type = "checkbox";
+  checkbox.className = "site-select";
+  checkbox.checked = selectedSites.has(domain);
+  checkbox.setAttribute("aria-label", `Select ${domain}`);
+  checkbox.addEventListener("change", () => {
+    if (checkbox.checked) {
+      selectedSites.add(domain);
+    } else {
+      selectedSites.delete(domain);
+    }
+    renderBulkBar();
+  });
+  row.appendChild(checkbox);
+
+  const info = document.createElement("div");
+  info.className = "site-info";
+
+  const name = document.createElement("div");
+  name.className = "site-name";
+
+  const type = parseSiteEntry(domain).type;
+  const badge = document.createElement("span");
+  badge.className = `entry-type type-${type}`;
+  badge.textContent = ENTRY_TYPE_LABELS[type];
+
+  const span = document.createElement("span");
+  span.className = "domain";
+  span.textContent = domain;
+
+  name.appendChild(badge);
+  name.appendChild(span);
+
+  const schedule = document.createElement("span");
+  schedule.className = "schedule-summary";
+  const summary = [formatSchedule(options.schedule)];
+  if (options.budgetMinutes) summary.push(formatBudget(domain, options.budgetMinutes));
+  if (options.blockEmbeds) summary.push("embeds blocked");
+  if (options.redirectTo === "destination") {
+    summary.push("\u2192 destination");
+  } else if (options.redirectTo) {
+    summary.push(`\u2192 ${new URL(options.redirectTo).host}`);
+  }
+  if (options.message) summary.push("own message");
+  schedule.textContent = summary.join(" \u00b7 ");
+
+  info.appendChild(name);
+  info.appendChild(schedule);
+
+  const exceptionBtn = document.createElement("button");
+  exceptionBtn.className = "icon-btn";
+  exceptionBtn.textContent = "+";
+  exceptionBtn.title = `Add exception inside ${domain}`;
+  exceptionBtn.setAttribute("aria-label", `Add an exception inside ${domain}`);
+  exceptionBtn.addEventListener("click", () => {
+    exceptionSite = exceptionSite === domain ? null : domain;
+    renderList(sites);
+  });
+
+  const scheduleBtn = document.createElement("button");
+  scheduleBtn.className = "icon-btn";
+  scheduleBtn.textContent = "\u23f0"; // alarm clock
+  scheduleBtn.title = `Edit schedule, budget and embed blocking for ${domain}`;
+  scheduleBtn.setAttribute("aria-label", `Edit blocking schedule, daily budget and embed blocking for ${domain}`);
+  scheduleBtn.addEventListener("click", () => {
+    editingSite = editingSite === domain ? null : domain;
+    renderList(sites);
+  });
+
+  const btn = document.createElement("button");
+  btn.className = "remove-btn";
+  btn.textContent = "\u00d7"; // multiplication sign (×)
+  btn.title = `Unblock ${domain}`;
+  btn.setAttribute("aria-label", `Remove ${domain} from blocklist`);
+  btn.addEventListener("click", () => removeSite(domain));
+
+  row.appendChild(info);
+  row.appendChild(exceptionBtn);
+  row.appendChild(scheduleBtn);
+  row.appendChild(btn);
+  li.appendChild(row);
+  if (options.exceptions && options.exceptions.length > 0) {
+    li.appendChild(buildExceptionList(domain, options.exceptions));
+  }
+  if (exceptionSite === domain) {
+    li.appendChild(buildExceptionForm(domain));
+  }
+  if (editingSite === domain) {
+    li.appendChild(buildScheduleEditor(domain));
+  }
+  return li;
+}
+
+/**
+ * Build the row of a site blocked by subscribed lists. It has no buttons:
+ * the site goes away when its lists drop it or are unsubscribed.
+ */
+function buildSubscribedRow(entry, sources) {
+  const li = document.createElement("li");
+
+  const row = document.createElement("div");
+  row.className = "site-row";
+
+  const info = document.createElement("div");
+  info.className = "site-info";
+
+  const name = document.createElement("div");
+  name.className = "site-name";
+
+  const type = parseSiteEntry(entry).type;
+  const badge = document.createElement("span");
+  badge.className = `entry-type type-${type}`;
+  badge.textContent = ENTRY_TYPE_LABELS[type];
+
+  const listBadge = document.createElement("span");
+  listBadge.className = "entry-type type-list";
+  listBadge.textContent = "List";
+
+  const span = document.createElement("span");
+  span.className = "domain";
+  span.textContent = entry;
+
+  name.appendChild(badge);
+  name.appendChild(listBadge);
+  name.appendChild(span);
+
+  const source = document.createElement("span");
+  source.className = "schedule-summary";
+  source.textContent = `from ${sources.join(", ")}`;
+
+  info.appendChild(name);
+  info.appendChild(source);
+  row.appendChild(info);
+  li.appendChild(row);
+  return li;
+}
+
+/**
+ * Build the nested list of exceptions under a blocklist entry.
+ */
+function buildExceptionList(parent, exceptions) {
+  const ul = document.createElement("ul");
+  ul.className = "exception-list";
+  exceptions.forEach((exception) => {
+    const li = document.createElement("li");
+
+    const span = document.createElement("span");
+    span.className = "domain";
+    span.textContent = `\u21b3 ${exception}`; // downwards arrow with tip rightwards
+
+    const btn = document.createElement("button");
+    btn.className = "remove-btn";
+    btn.textContent = "\u00d7";
+    btn.title = `Block ${exception} again`;
+    btn.setAttribute("aria-label", `Remove exception ${exception}`);
+    btn.addEventListener("click", () => removeException(parent, exception));
+
+    li.appendChild(span);
+    li.appendChild(btn);
+    ul.appendChild(li);
+  });
+  return ul;
+}
+
+/**
+ * Build the inline form for adding an exception under a blocklist entry.
+ */
+function buildExceptionForm(parent) {
+  const exceptionForm = document.createElement("form");
+  exceptionForm.className = "exception-form";
+
+  const exceptionInput = document.createElement("input");
+  exceptionInput.type = "text";
+  exceptionInput.className = "domain-input";
+  exceptionInput.placeholder = getEntryHost(parent)
+    ? `e.g. docs.${getEntryHost(parent)}`
+    : "e.g. docs.example.com";
+  exceptionInput.autocomplete = "off";
+  exceptionInput.spellcheck = false;
+
+  const submit = document.createElement("button");
+  submit.type = "submit";
+  submit.className = "add-btn";
+  submit.textContent = "Allow";
+
+  exceptionForm.addEventListener("submit", async (e) => {
+    e.preventDefault();
+    const exception = normalizeEntry(exceptionInput.value);
+    const error = await validateException(parent, exception);
+    if (error) {
+      exceptionInput.value = "";
+      showError(error, exceptionInput);
+      return;
+    }
+    addException(parent, exception);
+  });
+
+  exceptionForm.appendChild(exceptionInput);
+  exceptionForm.appendChild(submit);
+  setTimeout(() => exceptionInput.focus(), 0);
+  return exceptionForm;
+}
+
+/**
+ * Apply a change to one site's options and persist them, dropping the
+ * site's options entirely once nothing is left in them.
+ * Returns the current blockedSites list for re-rendering.
+ */
+async function updateSiteOptions(domain, update) {
+  const data = await getSettings({ blockedSites: [], siteOptions: {} });
+  siteOptions = data.siteOptions;
+  const options = update({ ...siteOptions[domain] });
+  if (Object.keys(options).length > 0) {
+    siteOptions[domain] = options;
+  } else {
+    delete siteOptions[domain];
+  }
+  await setSettings({ siteOptions });
+  return data.blockedSites;
+}
+
+/**
+ * Add an exception (allowed subdomain or path) under a blocklist entry.
+ */
+async function addException(parent, exception) {
+  if (refuseIfStrict()) return;
+  try {
+    const sites = await updateSiteOptions(parent, (options) => {
+      const exceptions = new Set(options.exceptions || []);
+      exceptions.add(exception);
+      options.exceptions = [...exceptions].sort();
+      return options;
+    });
+    exceptionSite = null;
+    renderList(sites);
+    showSuccess();
+  } catch (error) {
+    console.error('[Website Blocker] Error adding exception:', error);
+    showError("Failed to save exception");
+  }
+}
+
+/**
+ * Remove an exception from a blocklist entry.
+ */
+async function removeException(parent, exception) {
+  if (refuseIfStrict()) return;
+  try {
+    const sites = await updateSiteOptions(parent, (options) => {
+      options.exceptions = (options.exceptions || []).filter((e) => e !== exception);
+      if (options.exceptions.length === 0) delete options.exceptions;
+      return options;
+    });
+    renderList(sites);
+  } catch (error) {
+    console.error('[Website Blocker] Error removing exception:', error);
+    showError("Failed to remove exception");
+  }
+}
+
+/**
+ * Validate and persist the blocking windows and the editor's other settings
+ * (budget, blockEmbeds, redirect choice, redirectUrl, block page message and
+ * group) for a site.
+ * An empty list means the site is blocked around the clock; an empty budget
+ * means it is blocked outright rather than after N minutes a day. A redirect
+ * target that is blocked itself is refused, since it would loop.
+ */
+async function saveSchedule(domain, windows, { budget, blockEmbeds, redirect, redirectUrl, message, group }) {
+  if (refuseIfStrict()) return;
+  const valid = windows.every((w) =>
+    w.days.length > 0 && /^\d{2}:\d{2}$/.test(w.start) && /^\d{2}:\d{2}$/.test(w.end)
+  );
+  if (!valid) {
+    showError("Each window needs days and times");
+    return;
+  }
+  const budgetMinutes = budget === "" ? null : Number(budget);
+  if (budgetMinutes !== null && !(Number.isInteger(budgetMinutes) && budgetMinutes >= 1 && budgetMinutes <= 1440)) {
+    showError("Budget must be 1\u20131440 minutes");
+    return;
+  }
+
+  let redirectTo = null;
+  try {
+    const [data, { productiveDestination }] = await Promise.all([
+      getSettings({ blockedSites: [] }),
+      getPreferences(["productiveDestination"])
+    ]);
+    if (redirect === "destination") {
+      if (!productiveDestination) {
+        showError("Set a productive destination first");
+        return;
+      }
+      redirectTo = "destination";
+    } else if (redirect === "custom") {
+      redirectTo = normalizeWebUrl(redirectUrl);
+      if (!redirectTo) {
+        showError("Enter a valid redirect URL");
+        return;
+      }
+      const blocking = findBlockingEntry(redirectTo, data.blockedSites, siteOptions);
+      if (blocking) {
+        showError(`Redirect target is blocked by ${blocking}`);
+        return;
+      }
+    }
+  } catch (error) {
+    console.error('[Website Blocker] Error checking redirect target:', error);
+    showError("Failed to save schedule");
+    return;
+  }
+
+  try {
+    const sites = await updateSiteOptions(domain, (options) => {
+      if (windows.length > 0) {
+        options.schedule = windows.map((w) => ({
+          days: [...w.days].sort(),
+          start: w.start,
+          end: w.end
+        }));
+      } else {
+        delete options.schedule;
+      }
+      if (budgetMinutes !== null) {
+        options.budgetMinutes = budgetMinutes;
+      } else {
+        delete options.budgetMinutes;
+      }
+      if (blockEmbeds) {
+        options.blockEmbeds = true;
+      } else {
+        delete options.blockEmbeds;
+      }
+      if (redirectTo) {
+        options.redirectTo = redirectTo;
+      } else {
+        delete options.redirectTo;
+      }
+      if (message.trim()) {
+        options.message = message.trim().slice(0, BLOCK_MESSAGE_MAX_LENGTH);
+      } else {
+        delete options.message;
+      }
+      return options;
+    });
+    await moveEntries([domain], group);
+    editingSite = null;
+    renderList(sites);
+    showSuccess();
+  } catch (error) {
+    console.error('[Website Blocker] Error saving schedule:', error);
+    showError("Failed to save schedule");
+  }
+}
+
+/**
+ * Add a domain, path, wildcard or regex to the blocked list.
+ */
+async function addSite(raw) {
+  try {
+    const result = await addBlockedEntry(raw, document.getElementById("group-select").value);
+    // Invalid input stays in the field to be fixed
+    if (!result.invalid) {
+      input.value = "";
+      input.focus();
+    }
+    if (result.error) {
+      showError(result.error);
+      return;
+    }
+    renderList(result.sites);
+    showSuccess();
+  } catch (error) {
+    console.error('[Website Blocker] Error adding site:', error);
+    showError("An error occurred");
+  }
+}
+
+/**
+ * Remove entries from the blocked list along with their options, group and
+ * date added. Returns the remaining blockedSites.
+ */
+async function removeEntries(entries) {
+  const data = await getSettings({
+    blockedSites: [],
+    siteOptions: {},
+    siteGroups: {},
+    siteAddedAt: {}
+  });
+  const removed = new Set(entries);
+  const sites = data.blockedSites.filter((d) => !removed.has(d));
+  siteOptions = data.siteOptions;
+  const values = { blockedSites: sites, siteOptions };
+  for (const entry of entries) {
+    delete siteOptions[entry];
+    for (const key of ["siteGroups", "siteAddedAt"]) {
+      if (!(entry in data[key])) continue;
+      values[key] = values[key] || { ...data[key] };
+      delete values[key][entry];
+    }
+    selectedSites.delete(entry);
+    if (editingSite === entry) editingSite = null;
+    if (exceptionSite === entry) exceptionSite = null;
+  }
+  await setSettings(values);
+  return sites;
+}
+
+/**
+ * Remove a domain from the blocked list.
+ */
+async function removeSite(domain) {
+  if (refuseIfStrict()) return;
+  try {
+    renderList(await removeEntries([domain]));
+  } catch (error) {
+    console.error('[Website Blocker] Error removing site:', error);
+    showError("Failed to remove site");
+  }
+}
+
+/**
+ * Remove the selected entries from the blocked list.
+ */
+async function removeSelected() {
+  if (refuseIfStrict()) return;
+  try {
+    renderList(await removeEntries([...selectedSites]));
+  } catch (error) {
+    console.error('[Website Blocker] Error removing sites:', error);
+    showError("Failed to remove sites");
+  }
+}
+
+/**
+ * Move the selected entries to the group picked in the bulk bar.
+ */
+async function moveSelected() {
+  if (refuseIfStrict()) return;
+  try {
+    await moveEntries([...selectedSites], document.getElementById("bulk-group").value);
+    selectedSites.clear();
+    await loadProfiles();
+  } catch (error) {
+    console.error('[Website Blocker] Error moving sites:', error);
+    showError("Failed to move sites");
+  }
+}
+
+// Handle form submission
+form.addEventListener("submit", (e) => {
+  e.preventDefault();
+  addSite(input.value);
+});
+
+/**
+ * Show how many entries are selected, with the bulk move and remove
+ * controls, and tick "select all" when every shown entry is selected.
+ */
+function renderBulkBar() {
+  const selectAll = document.getElementById("select-all");
+  selectAll.checked = shownSites.length > 0 && shownSites.every((entry) => selectedSites.has(entry));
+  selectAll.indeterminate = !selectAll.checked && shownSites.some((entry) => selectedSites.has(entry));
+  document.getElementById("bulk-bar").classList.toggle("hidden", selectedSites.size === 0);
+  document.getElementById("bulk-count").textContent = `${selectedSites.size} selected`;
+}
+
+/**
+ * Re-read the blocklist and render it, e.g. after the search or sort
+ * changes.
+ */
+async function refreshList() {
+  const { blockedSites } = await getSettings({ blockedSites: [] });
+  renderList(blockedSites);
+}
+
+searchInput.addEventListener("input", () => {
+  refreshList().catch((error) => {
+    console.error('[Website Blocker] Error filtering sites:', error);
+  });
+});
+
+// Sort the list, remembering the choice for next time
+sortSelect.addEventListener("change", async () => {
+  try {
+    await setPreferences({ listSort: sortSelect.value });
+    await refreshList();
+  } catch (error) {
+    console.error('[Website Blocker] Error sorting sites:', error);
+  }
+});
+
+// Select or unselect every entry the search shows
+document.getElementById("select-all").addEventListener("change", (e) => {
+  shownSites.forEach((entry) => {
+    if (e.target.checked) {
+      selectedSites.add(entry);
+    } else {
+      selectedSites.delete(entry);
+    }
+  });
+  siteList.querySelectorAll(".site-select").forEach((checkbox) => {
+    checkbox.checked = e.target.checked;
+  });
+  renderBulkBar();
+});
+
+document.getElementById("bulk-move").addEventListener("click", moveSelected);
+document.getElementById("bulk-remove").addEventListener("click", removeSelected);
+
+/**
+ * Move blocklist entries to a group. Entries in the default group have no
+ * siteGroups record.
+ */
+async function moveEntries(entries, groupId) {
+  const { siteGroups } = await getSettings({ siteGroups: {} });
+  const moving = entries.filter((entry) => (siteGroups[entry] || DEFAULT_GROUP_ID) !== groupId);
+  if (moving.length === 0) return;
+  for (const entry of moving) {
+    if (groupId === DEFAULT_GROUP_ID) {
+      delete siteGroups[entry];
+    } else {
+      siteGroups[entry] = groupId;
+    }
+  }
+  await setSettings({ siteGroups });
+}
+
+/**
+ * Fill a select with the given groups or profiles and select one of them.
+ */
+function fillSelect(select, items, selectedId) {
+  select.innerHTML = "";
+  items.forEach((item) => {
+    const option = document.createElement("option");
+    option.value = item.id;
+    option.textContent = item.name;
+    select.appendChild(option);
+  });
+  select.value = selectedId;
+}
+
+/**
+ * Render the profile switcher, the add form's group picker and the profile
+ * editor with a checkbox per group.
+ */
+function renderProfiles() {
+  const { blockGroups, profiles } = profileSettings;
+  const active = getActiveProfile(profileSettings);
+  fillSelect(document.getElementById("profile-select"), profiles, active ? active.id : "");
+
+  // Keep the group picked for this popup unless it was removed
+  const groupSelect = document.getElementById("group-select");
+  const picked = blockGroups.some((group) => group.id === groupSelect.value)
+    ? groupSelect.value
+    : getTargetGroup(profileSettings);
+  fillSelect(groupSelect, blockGroups, picked);
+  const bulkGroup = document.getElementById("bulk-group");
+  const bulkPicked = blockGroups.some((group) => group.id === bulkGroup.value)
+    ? bulkGroup.value
+    : DEFAULT_GROUP_ID;
+  fillSelect(bulkGroup, blockGroups, bulkPicked);
+
+  const profileList = document.getElementById("profile-list");
+  profileList.innerHTML = "";
+  profiles.forEach((profile) => {
+    const li = document.createElement("li");
+
+    const row = document.createElement("div");
+    row.className = "site-row";
+
+    const name = document.createElement("span");
+    name.textContent = profile === active ? `${profile.name} (active)` : profile.name;
+    row.appendChild(name);
+
+    if (profile !== active) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "remove-btn";
+      btn.textContent = "\u00d7"; // multiplication sign (×)
+      btn.title = `Remove the ${profile.name} profile`;
+      btn.setAttribute("aria-label", `Remove the ${profile.name} profile`);
+      btn.addEventListener("click", () => removeProfile(profile.id));
+      row.appendChild(btn);
+    }
+
+    const groups = document.createElement("div");
+    groups.className = "profile-groups";
+    blockGroups.forEach((group) => {
+      const label = document.createElement("label");
+      const checkbox = document.createElement("input");
+      checkbox.type = "checkbox";
+      checkbox.checked = profile.groups.includes(group.id);
+      checkbox.addEventListener("change", () => {
+        toggleProfileGroup(profile.id, group.id, checkbox.checked);
+      });
+      label.appendChild(checkbox);
+      label.appendChild(document.createTextNode(group.name));
+      groups.appendChild(label);
+    });
+
+    li.appendChild(row);
+    li.appendChild(groups);
+    profileList.appendChild(li);
+  });
+}
+
+/**
+ * Render the groups with how many blocklist entries each holds. The
+ * default group can't be removed.
+ */
+function renderGroupList(sites) {
+  const counts = new Map();
+  sites.forEach((entry) => {
+    const id = getEntryGroup(entry, profileSettings);
+    counts.set(id, (counts.get(id) || 0) + 1);
+  });
+
+  const groupList = document.getElementById("group-list");
+  groupList.innerHTML = "";
+  profileSettings.blockGroups.forEach((group) => {
+    const li = document.createElement("li");
+
+    const row = document.createElement("div");
+    row.className = "site-row";
+
+    const name = document.createElement("span");
+    const count = counts.get(group.id) || 0;
+    name.textContent = `${group.name} \u00b7 ${count} site${count === 1 ? "" : "s"}`;
+    row.appendChild(name);
+
+    if (group.id !== DEFAULT_GROUP_ID) {
+      const btn = document.createElement("button");
+      btn.type = "button";
+      btn.className = "remove-btn";
+      btn.textContent = "\u00d7"; // multiplication sign (×)
+      btn.title = `Remove the ${group.name} group`;
+      btn.setAttribute("aria-label", `Remove the ${group.name} group and move its sites to the default group`);
+      btn.addEventListener("click", () => removeGroup(group.id));
+      row.appendChild(btn);
+    }
+
+    li.appendChild(row);
+    groupList.appendChild(li);
+  });
+}
+
+/**
+ * Re-read the groups, profiles and blocklist, then redraw everything that
+ * shows them.
+ */
+async function loadProfiles() {
+  const data = await getSettings({ blockedSites: [], ...PROFILE_DEFAULTS });
+  const { blockedSites, ...settings } = data;
+  profileSettings = settings;
+  renderProfiles();
+  renderList(blockedSites);
+}
+
+/**
+ * Make a profile the active one; its groups are blocked from now on.
+ */
+async function switchProfile(id) {
+  if (refuseIfStrict()) {
+    renderProfiles();
+    return;
+  }
+  try {
+    await setSettings({ activeProfile: id });
+  } catch (error) {
+    console.error('[Website Blocker] Error switching profile:', error);
+    showError("Failed to switch profile");
+  }
+}
+
+/**
+ * Add a group. It joins the active profile, so the sites put in it are
+ * blocked right away.
+ */
+async function addGroup(name) {
+  const field = document.getElementById("group-input");
+  if (refuseIfStrict(field)) return;
+  try {
+    const data = await getSettings(PROFILE_DEFAULTS);
+    const error = validateProfileName(name, data.blockGroups);
+    if (error) {
+      showError(error, field);
+      return;
+    }
+    const group = { id: `group-${Date.now().toString(36)}`, name };
+    const active = getActiveProfile(data);
+    const profiles = data.profiles.map((profile) =>
+      profile === active ? { ...profile, groups: [...profile.groups, group.id] } : profile
+    );
+    await setSettings({ blockGroups: [...data.blockGroups, group], profiles });
+    field.value = "";
+    showSuccess(field);
+  } catch (error) {
+    console.error('[Website Blocker] Error adding group:', error);
+    showError("Failed to save. Try again.", field);
+  }
+}
+
+/**
+ * Remove a group from the groups and every profile. Its entries stay
+ * blocklisted and go back to the default group.
+ */
+async function removeGroup(id) {
+  if (refuseIfStrict()) return;
+  try {
+    const data = await getSettings(PROFILE_DEFAULTS);
+    await setSettings({
+      blockGroups: data.blockGroups.filter((group) => group.id !== id),
+      profiles: data.profiles.map((profile) => ({
+        ...profile,
+        groups: profile.groups.filter((groupId) => groupId !== id)
+      })),
+      siteGroups: Object.fromEntries(
+        Object.entries(data.siteGroups).filter(([, groupId]) => groupId !== id)
+      )
+    });
+  } catch (error) {
+    console.error('[Website Blocker] Error removing group:', error);
+    showError("Failed to remove group");
+  }
+}
+
+/**
+ * Add a profile blocking the default group.
+ */
+async function addProfile(name) {
+  const field = document.getElementById("profile-input");
+  if (refuseIfStrict(field)) return;
+  try {
+    const { profiles } = await getSettings({ profiles: PROFILE_DEFAULTS.profiles });
+    const error = validateProfileName(name, profiles);
+    if (error) {
+      showError(error, field);
+      return;
+    }
+    const profile = { id: `profile-${Date.now().toString(36)}`, name, groups: [DEFAULT_GROUP_ID] };
+    await setSettings({ profiles: [...profiles, profile] });
+    field.value = "";
+    showSuccess(field);
+  } catch (error) {
+    console.error('[Website Blocker] Error adding profile:', error);
+    showError("Failed to save. Try again.", field);
+  }
+}
 
 /**
- * Normalize user input to a bare domain (strip protocol, path, port, whitespace).
- * Handles edge cases like ports, www prefix, and various URL formats.
+ * Remove a profile other than the active one.
  */
-function normalizeDomain(raw) {
-  let domain = raw.trim().toLowerCase();
-  // Strip protocol
-  domain = domain.replace(/^https?:\/\//, "");
-  // Strip www.
-  domain = domain.replace(/^www\./, "");
-  // Strip port number (e.g., :8080)
-  domain = domain.split(":")[0];
-  // Strip path, query, hash
-  domain = domain.split("/")[0];
-  domain = domain.split("?")[0];
-  domain = domain.split("#")[0];
-  return domain;
+async function removeProfile(id) {
+  if (refuseIfStrict()) return;
+  try {
+    const data = await getSettings(PROFILE_DEFAULTS);
+    if (getActiveProfile(data).id === id) {
+      showError("Switch to another profile first");
+      return;
+    }
+    await setSettings({ profiles: data.profiles.filter((profile) => profile.id !== id) });
+  } catch (error) {
+    console.error('[Website Blocker] Error removing profile:', error);
+    showError("Failed to remove profile");
+  }
 }
 
 /**
- * Validate domain format using regex.
- * Returns true if domain is valid, false otherwise.
+ * Add a group to a profile or take it out.
  */
-function isValidDomain(domain) {
-  // Domain must have at least one dot and valid TLD structure
-  // Allows alphanumeric, hyphens, and dots
-  const domainRegex = /^[a-z0-9]+([\-\.]{1}[a-z0-9]+)*\.[a-z]{2,}$/;
-  return domain && domainRegex.test(domain);
+async function toggleProfileGroup(profileId, groupId, checked) {
+  if (refuseIfStrict()) {
+    renderProfiles();
+    return;
+  }
+  try {
+    const { profiles } = await getSettings({ profiles: PROFILE_DEFAULTS.profiles });
+    await setSettings({
+      profiles: profiles.map((profile) => {
+        if (profile.id !== profileId) return profile;
+        const groups = profile.groups.filter((id) => id !== groupId);
+        return { ...profile, groups: checked ? [...groups, groupId] : groups };
+      })
+    });
+  } catch (error) {
+    console.error('[Website Blocker] Error saving profile:', error);
+    showError("Failed to save profile");
+  }
 }
 
+document.getElementById("profile-select").addEventListener("change", (e) => {
+  switchProfile(e.target.value);
+});
+
+document.getElementById("group-form").addEventListener("submit", (e) => {
+  e.preventDefault();
+  addGroup(document.getElementById("group-input").value.trim());
+});
+
+document.getElementById("profile-form").addEventListener("submit", (e) => {
+  e.preventDefault();
+  addProfile(document.getElementById("profile-input").value.trim());
+});
+
 /**
- * Show error message in input placeholder.
+ * Highlight the active blocking mode.
  */
-function showError(message) {
-  input.placeholder = message;
-  input.classList.add("error");
-  setTimeout(() => {
-    input.placeholder = "e.g. reddit.com";
-    input.classList.remove("error");
-  }, PLACEHOLDER_RESET_MS);
+function renderMode(mode) {
+  modeButtons.forEach((btn) => {
+    const active = btn.dataset.mode === mode;
+    btn.classList.toggle("active", active);
+    btn.setAttribute("aria-checked", String(active));
+  });
+  document.getElementById("allow-mode-note").textContent = mode === "allowlist"
+    ? "\u2014 active, everything else is blocked"
+    : "\u2014 used in allow-only mode";
 }
 
 /**
- * Show success feedback with green flash.
+ * Render the allowlist used in allow-only mode.
  */
-function showSuccess() {
-  input.classList.add("success");
-  setTimeout(() => {
-    input.classList.remove("success");
-  }, SUCCESS_FEEDBACK_MS);
+function renderAllowList(sites) {
+  allowList.innerHTML = "";
+  allowEmptyMsg.classList.toggle("hidden", sites.length > 0);
+
+  sites.forEach((domain) => {
+    const li = document.createElement("li");
+
+    const row = document.createElement("div");
+    row.className = "site-row";
+
+    const span = document.createElement("span");
+    span.className = "domain";
+    span.textContent = domain;
+
+    const btn = document.createElement("button");
+    btn.className = "remove-btn";
+    btn.textContent = "\u00d7"; // multiplication sign (×)
+    btn.title = `Remove ${domain} from allowlist`;
+    btn.setAttribute("aria-label", `Remove ${domain} from allowlist`);
+    btn.addEventListener("click", () => removeAllowedSite(domain));
+
+    row.appendChild(span);
+    row.appendChild(btn);
+    li.appendChild(row);
+    allowList.appendChild(li);
+  });
 }
 
 /**
- * Render the list of blocked sites in the popup.
+ * Render the blocked keywords with their matching options.
  */
-function renderList(sites) {
-  siteList.innerHTML = "";
+function renderKeywordList(items) {
+  keywordList.innerHTML = "";
+  keywordEmptyMsg.classList.toggle("hidden", items.length > 0);
 
-  if (sites.length === 0) {
-    emptyMsg.classList.remove("hidden");
+  items.forEach((item) => {
+    const li = document.createElement("li");
+
+    const row = document.createElement("div");
+    row.className = "site-row";
+
+    const name = document.createElement("span");
+    name.className = "domain";
+    name.textContent = item.keyword;
+
+    const flags = [];
+    if (!item.ignoreCase) flags.push("match case");
+    if (item.wholeWord) flags.push("whole word");
+    if (flags.length > 0) {
+      const flagsEl = document.createElement("span");
+      flagsEl.className = "keyword-flags";
+      flagsEl.textContent = flags.join(", ");
+      name.appendChild(flagsEl);
+    }
+
+    const btn = document.createElement("button");
+    btn.className = "remove-btn";
+    btn.textContent = "\u00d7"; // multiplication sign (×)
+    btn.title = `Stop blocking "${item.keyword}"`;
+    btn.setAttribute("aria-label", `Stop blocking the keyword ${item.keyword}`);
+    btn.addEventListener("click", () => removeKeyword(item.keyword));
+
+    row.appendChild(name);
+    row.appendChild(btn);
+    li.appendChild(row);
+    keywordList.appendChild(li);
+  });
+}
+
+/**
+ * Add a keyword (with its ignoreCase / wholeWord options) to blockedKeywords.
+ * Keywords are unique regardless of case.
+ */
+async function addKeyword(item) {
+  try {
+    const error = await validateKeyword(item);
+    if (error) {
+      showError(error, keywordInput);
+      return;
+    }
+    const data = await getSettings({ blockedKeywords: [] });
+    const keywords = data.blockedKeywords;
+    const lower = item.keyword.toLowerCase();
+    if (keywords.some((k) => k.keyword.toLowerCase() === lower)) {
+      showError("Already blocked!", keywordInput);
+      return;
+    }
+    keywords.push(item);
+    keywords.sort((a, b) => a.keyword.localeCompare(b.keyword));
+    await setSettings({ blockedKeywords: keywords });
+    renderKeywordList(keywords);
+    showSuccess(keywordInput);
+  } catch (error) {
+    console.error('[Website Blocker] Error adding keyword:', error);
+    showError("Failed to save. Try again.", keywordInput);
+  }
+}
+
+/**
+ * Remove a keyword from blockedKeywords.
+ */
+async function removeKeyword(keyword) {
+  if (refuseIfStrict(keywordInput)) return;
+  try {
+    const data = await getSettings({ blockedKeywords: [] });
+    const keywords = data.blockedKeywords.filter((k) => k.keyword !== keyword);
+    await setSettings({ blockedKeywords: keywords });
+    renderKeywordList(keywords);
+  } catch (error) {
+    console.error('[Website Blocker] Error removing keyword:', error);
+    showError("Failed to remove keyword", keywordInput);
+  }
+}
+
+// Handle keyword form submission
+keywordForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  const keyword = normalizeKeyword(keywordInput.value);
+  if (!keyword) {
+    showError("Enter a keyword", keywordInput);
     return;
   }
+  addKeyword({
+    keyword,
+    ignoreCase: document.getElementById("keyword-ignore-case").checked,
+    wholeWord: document.getElementById("keyword-whole-word").checked
+  });
+  keywordInput.value = "";
+  keywordInput.focus();
+});
+
+/**
+ * Map each entry of the subscribed lists to the hosts of the lists it's in,
+ * for tagging the blocklist rows.
+ */
+function setSubscribedSources(subscriptions, subscriptionData) {
+  subscribedSources = new Map();
+  for (const url of subscriptions) {
+    const data = subscriptionData[url];
+    if (!data || !data.entries) continue;
+    const host = new URL(url).host;
+    for (const entry of data.entries) {
+      if (!subscribedSources.has(entry)) subscribedSources.set(entry, []);
+      subscribedSources.get(entry).push(host);
+    }
+  }
+}
 
-  emptyMsg.classList.add("hidden");
+/**
+ * Describe a subscription's last fetch: its size and update time, or the
+ * error that kept it from refreshing.
+ */
+function formatSubscriptionStatus(data) {
+  if (!data) return "Fetching\u2026";
+  const parts = [];
+  if (data.entries) {
+    const updated = new Date(data.updatedAt).toLocaleString([], {
+      dateStyle: "medium",
+      timeStyle: "short"
+    });
+    parts.push(`${data.entries.length} site(s) \u00b7 updated ${updated}`);
+  }
+  if (data.error) parts.push(`Last fetch failed: ${data.error}`);
+  return parts.join(" \u00b7 ");
+}
 
-  sites.forEach((domain) => {
+/**
+ * Render the subscribed lists with their fetch status.
+ */
+function renderSubscriptionList(subscriptions, subscriptionData) {
+  subscriptionList.innerHTML = "";
+  subscriptionEmptyMsg.classList.toggle("hidden", subscriptions.length > 0);
+  document.getElementById("subscription-refresh").classList.toggle("hidden", subscriptions.length === 0);
+
+  subscriptions.forEach((url) => {
+    const data = subscriptionData[url];
     const li = document.createElement("li");
 
-    const span = document.createElement("span");
-    span.className = "domain";
-    span.textContent = domain;
+    const row = document.createElement("div");
+    row.className = "site-row";
+
+    const info = document.createElement("div");
+    info.className = "site-info";
+
+    const name = document.createElement("span");
+    name.className = "domain";
+    name.textContent = url;
+    name.title = url;
+
+    const status = document.createElement("span");
+    status.className = `schedule-summary subscription-status${data && data.error ? " error" : ""}`;
+    status.textContent = formatSubscriptionStatus(data);
+
+    info.appendChild(name);
+    info.appendChild(status);
 
     const btn = document.createElement("button");
     btn.className = "remove-btn";
     btn.textContent = "\u00d7"; // multiplication sign (×)
-    btn.title = `Unblock ${domain}`;
-    btn.setAttribute("aria-label", `Remove ${domain} from blocklist`);
-    btn.addEventListener("click", () => removeSite(domain));
+    btn.title = `Unsubscribe from ${url}`;
+    btn.setAttribute("aria-label", `Unsubscribe from the list at ${url}`);
+    btn.addEventListener("click", () => removeSubscription(url));
 
-    li.appendChild(span);
-    li.appendChild(btn);
-    siteList.appendChild(li);
+    row.appendChild(info);
+    row.appendChild(btn);
+    li.appendChild(row);
+    subscriptionList.appendChild(li);
   });
 }
 
 /**
- * Add a domain to the blocked list.
+ * Add a list URL to subscriptions. The background worker fetches it and
+ * merges its sites into the blocklist.
+ */
+async function addSubscription(raw) {
+  const url = normalizeWebUrl(raw);
+  if (!url) {
+    showError("Enter a valid http(s) URL", subscriptionInput);
+    return;
+  }
+  try {
+    const data = await getSettings({ subscriptions: [] });
+    const subscriptions = data.subscriptions;
+    if (subscriptions.includes(url)) {
+      showError("Already subscribed!", subscriptionInput);
+      return;
+    }
+    subscriptions.push(url);
+    subscriptions.sort();
+    await setSettings({ subscriptions });
+    subscriptionInput.value = "";
+    showSuccess(subscriptionInput);
+  } catch (error) {
+    console.error('[Website Blocker] Error adding subscription:', error);
+    showError("Failed to save. Try again.", subscriptionInput);
+  }
+}
+
+/**
+ * Remove a list URL from subscriptions, unblocking the sites only it blocked.
  */
-async function addSite(domain) {
+async function removeSubscription(url) {
+  if (refuseIfStrict(subscriptionInput)) return;
   try {
-    const data = await chrome.storage.sync.get({ blockedSites: [] });
-    const sites = data.blockedSites;
+    const data = await getSettings({ subscriptions: [] });
+    await setSettings({ subscriptions: data.subscriptions.filter((u) => u !== url) });
+  } catch (error) {
+    console.error('[Website Blocker] Error removing subscription:', error);
+    showError("Failed to unsubscribe", subscriptionInput);
+  }
+}
+
+/**
+ * Re-read the subscriptions and their fetched lists, then redraw them and
+ * the blocklist rows they add.
+ */
+async function loadSubscriptions() {
+  const [{ subscriptions, blockedSites }, { subscriptionData }] = await Promise.all([
+    getSettings({ subscriptions: [], blockedSites: [] }),
+    getLocalData({ subscriptionData: {} })
+  ]);
+  setSubscribedSources(subscriptions, subscriptionData);
+  renderSubscriptionList(subscriptions, subscriptionData);
+  renderList(blockedSites);
+}
+
+subscriptionForm.addEventListener("submit", (e) => {
+  e.preventDefault();
+  addSubscription(subscriptionInput.value);
+});
+
+// Ask the background worker to fetch every list now
+document.getElementById("subscription-refresh").addEventListener("click", (e) => {
+  const btn = e.currentTarget;
+  btn.disabled = true;
+  btn.textContent = "Refreshing\u2026";
+  chrome.runtime.sendMessage({ action: "refreshSubscriptions" }, (response) => {
+    btn.disabled = false;
+    btn.textContent = "Refresh now";
+    if (chrome.runtime.lastError || !response || !response.ok) {
+      showError("Failed to refresh lists", subscriptionInput);
+    }
+  });
+});
 
+/**
+ * Add a domain to the allowlist.
+ */
+async function addAllowedSite(domain) {
+  if (refuseIfStrict(allowInput)) return;
+  try {
+    const data = await getSettings({ allowedSites: [] });
+    const sites = data.allowedSites;
     if (sites.includes(domain)) {
-      // Already blocked — just flash the input
-      input.value = "";
-      showError("Already blocked!");
+      showError("Already allowed!", allowInput);
       return;
     }
-
     sites.push(domain);
     sites.sort();
-    
-    try {
-      await chrome.storage.sync.set({ blockedSites: sites });
-      renderList(sites);
-      showSuccess();
-    } catch (storageError) {
-      // Handle quota exceeded or other storage errors
-      console.error('[Website Blocker] Storage error:', storageError);
-      if (storageError.message && storageError.message.includes('QUOTA')) {
-        showError("Storage quota exceeded!");
-      } else {
-        showError("Failed to save. Try again.");
-      }
-      // Revert the local change
-      sites.pop();
-    }
+    await setSettings({ allowedSites: sites });
+    renderAllowList(sites);
+    showSuccess(allowInput);
   } catch (error) {
-    console.error('[Website Blocker] Error adding site:', error);
-    showError("An error occurred");
+    console.error('[Website Blocker] Error adding allowed site:', error);
+    showError("Failed to save. Try again.", allowInput);
   }
 }
 
 /**
- * Remove a domain from the blocked list.
+ * Remove a domain from the allowlist.
  */
-async function removeSite(domain) {
+async function removeAllowedSite(domain) {
+  if (refuseIfStrict(allowInput)) return;
   try {
-    const data = await chrome.storage.sync.get({ blockedSites: [] });
-    const sites = data.blockedSites.filter((d) => d !== domain);
-    
-    await chrome.storage.sync.set({ blockedSites: sites });
-    renderList(sites);
+    const data = await getSettings({ allowedSites: [] });
+    const sites = data.allowedSites.filter((d) => d !== domain);
+    await setSettings({ allowedSites: sites });
+    renderAllowList(sites);
   } catch (error) {
-    console.error('[Website Blocker] Error removing site:', error);
-    showError("Failed to remove site");
+    console.error('[Website Blocker] Error removing allowed site:', error);
+    showError("Failed to remove site", allowInput);
   }
 }
 
-// Handle form submission
-form.addEventListener("submit", (e) => {
+// Handle allowlist form submission
+allowForm.addEventListener("submit", (e) => {
   e.preventDefault();
-  const domain = normalizeDomain(input.value);
-  
-  // Validate domain format
+  const domain = normalizeDomain(allowInput.value);
   if (!isValidDomain(domain)) {
-    showError("Enter a valid domain");
+    showError("Enter a valid domain", allowInput);
+    return;
+  }
+  addAllowedSite(domain);
+  allowInput.value = "";
+  allowInput.focus();
+});
+
+// Switch between blocklist and allowlist mode
+modeButtons.forEach((btn) => {
+  btn.addEventListener("click", async () => {
+    if (refuseIfStrict()) return;
+    try {
+      await setSettings({ blockMode: btn.dataset.mode });
+      renderMode(btn.dataset.mode);
+    } catch (error) {
+      console.error('[Website Blocker] Error switching mode:', error);
+      showError("Failed to switch mode");
+    }
+  });
+});
+
+/**
+ * Format a datetime-local input value ("YYYY-MM-DDTHH:MM") in local time.
+ */
+function toDateTimeLocal(date) {
+  const pad = (n) => String(n).padStart(2, "0");
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`;
+}
+
+/**
+ * Show whether strict mode is on and until when. While it is, removal and
+ * settings controls are hidden via the "strict" class on the body.
+ */
+function renderStrictMode() {
+  const active = strictUntil > Date.now();
+  document.body.classList.toggle("strict", active);
+  document.getElementById("strict-note").textContent = active
+    ? `\u2014 locked until ${new Date(strictUntil).toLocaleString([], {
+      dateStyle: "medium",
+      timeStyle: "short"
+    })}`
+    : "";
+  document.getElementById("strict-start").textContent = active ? "Extend" : "Lock";
+  document.getElementById("profile-select").disabled = active;
+  const untilInput = document.getElementById("strict-until");
+  if (!untilInput.value) {
+    const suggested = new Date(active ? strictUntil : Date.now() + 60 * 60 * 1000);
+    untilInput.value = toDateTimeLocal(suggested);
+  }
+}
+
+// Turn on or extend strict mode; only the background worker can do this
+document.getElementById("strict-start").addEventListener("click", () => {
+  const until = new Date(document.getElementById("strict-until").value).getTime();
+  chrome.runtime.sendMessage({ action: "startStrictMode", until }, (response) => {
+    if (chrome.runtime.lastError || !response) {
+      showError("Could not start strict mode");
+      return;
+    }
+    if (!response.ok) {
+      showError(response.error);
+      return;
+    }
+    strictUntil = response.until;
+    renderStrictMode();
+  });
+});
+
+/**
+ * Validate and persist the global productive destination; an empty field
+ * clears it. A destination that is blocked itself is refused.
+ */
+async function saveProductiveDestination() {
+  const field = document.getElementById("destination-input");
+  let productiveDestination = "";
+  if (field.value.trim() !== "") {
+    productiveDestination = normalizeWebUrl(field.value);
+    if (!productiveDestination) {
+      field.value = "";
+      showError("Enter a valid URL", field);
+      return;
+    }
+  }
+
+  try {
+    const { blockedSites } = await getSettings({ blockedSites: [] });
+    const blocking = productiveDestination &&
+      findBlockingEntry(productiveDestination, blockedSites, siteOptions);
+    if (blocking) {
+      field.value = "";
+      showError(`Blocked by ${blocking}`, field);
+      return;
+    }
+    await setPreferences({ productiveDestination });
+    field.value = productiveDestination;
+    showSuccess(field);
+  } catch (error) {
+    console.error('[Website Blocker] Error saving productive destination:', error);
+    showError("Failed to save destination", field);
+  }
+}
+
+document.getElementById("destination-form").addEventListener("submit", (e) => {
+  e.preventDefault();
+  saveProductiveDestination();
+});
+
+// Start a focus session with the ticked sites
+document.getElementById("focus-start").addEventListener("click", async () => {
+  const data = await getSettings({ blockedSites: [], ...PROFILE_DEFAULTS });
+  const sites = getProfileEntries(data.blockedSites, data).filter((d) => !focusExcluded.has(d));
+  if (sites.length === 0) {
+    showError("Pick at least one site");
     return;
   }
-  
-  addSite(domain);
-  input.value = "";
-  input.focus();
+  const message = {
+    action: "startFocusSession",
+    sites,
+    focusMinutes: Number(document.getElementById("focus-minutes").value),
+    breakMinutes: Number(document.getElementById("break-minutes").value),
+    cycles: Number(document.getElementById("focus-cycles").value)
+  };
+  chrome.runtime.sendMessage(message, (response) => {
+    if (chrome.runtime.lastError || !response || !response.ok) {
+      showError("Could not start session");
+      return;
+    }
+    focusSession = response.session;
+    renderFocusStatus();
+  });
+});
+
+// Stop the running focus session
+document.getElementById("focus-stop").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ action: "stopFocusSession" }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.ok) {
+      showError("Could not stop session");
+      return;
+    }
+    focusSession = null;
+    renderFocusStatus();
+  });
+});
+
+/**
+ * Show the pause buttons, or the time left in a running pause.
+ */
+function renderPause() {
+  const paused = pausedUntil > Date.now();
+  document.getElementById("pause-setup").classList.toggle("hidden", paused);
+  document.getElementById("pause-status").classList.toggle("hidden", !paused);
+  if (paused) {
+    document.getElementById("pause-remaining").textContent = formatRemaining(pausedUntil - Date.now());
+  }
+}
+
+/**
+ * Return the whole minutes from now until the next local midnight.
+ */
+function minutesUntilTomorrow() {
+  const midnight = new Date();
+  midnight.setHours(24, 0, 0, 0);
+  return Math.ceil((midnight.getTime() - Date.now()) / 60000);
+}
+
+// Pause all blocking; the background worker removes the rules and brings
+// them back with an alarm
+document.querySelectorAll("#pause-setup button").forEach((btn) => {
+  btn.addEventListener("click", () => {
+    if (refuseIfStrict()) return;
+    const minutes = btn.dataset.pause === "tomorrow"
+      ? minutesUntilTomorrow()
+      : Number(btn.dataset.pause);
+    chrome.runtime.sendMessage({ action: "pauseBlocking", minutes }, (response) => {
+      if (chrome.runtime.lastError || !response) {
+        showError("Could not pause blocking");
+        return;
+      }
+      if (!response.ok) {
+        showError(response.error);
+        return;
+      }
+      pausedUntil = response.pausedUntil;
+      renderPause();
+    });
+  });
+});
+
+// End the pause early
+document.getElementById("pause-resume").addEventListener("click", () => {
+  chrome.runtime.sendMessage({ action: "resumeBlocking" }, (response) => {
+    if (chrome.runtime.lastError || !response || !response.ok) {
+      showError("Could not resume blocking");
+      return;
+    }
+    pausedUntil = null;
+    renderPause();
+  });
+});
+
+/**
+ * Show why the background worker couldn't apply the blocking rules (e.g.
+ * too many rules), or hide the notice once a sync succeeds.
+ */
+function renderRuleStatus(ruleStatus) {
+  const statusEl = document.getElementById("rule-status");
+  const error = ruleStatus && ruleStatus.error;
+  statusEl.textContent = error ? `${error} Until then your last working rules stay active.` : "";
+  statusEl.classList.toggle("hidden", !error);
+}
+
+// Follow focus phase, pause, strict mode, rule sync and subscription changes
+// made by the background worker, and group and profile changes (which strict
+// mode may undo)
+onStorageChanged((changes, area) => {
+  if (area === "sync" && (
+    changes.blockGroups || changes.profiles || changes.activeProfile || changes.siteGroups
+  )) {
+    loadProfiles().catch((error) => {
+      console.error('[Website Blocker] Error loading profiles:', error);
+    });
+  }
+  if (area === "local" && changes.ruleStatus) {
+    renderRuleStatus(changes.ruleStatus.newValue);
+  }
+  if ((area === "local" && changes.subscriptionData) || (area === "sync" && changes.subscriptions)) {
+    loadSubscriptions().catch((error) => {
+      console.error('[Website Blocker] Error loading subscriptions:', error);
+    });
+  }
+  if (area === "local" && changes.pausedUntil) {
+    pausedUntil = changes.pausedUntil.newValue || null;
+    renderPause();
+  }
+  if (area === "sync" && changes.siteAddedAt) {
+    siteAddedAt = changes.siteAddedAt.newValue || {};
+    if (sortSelect.value === "added") {
+      refreshList().catch((error) => {
+        console.error('[Website Blocker] Error loading sites:', error);
+      });
+    }
+  }
+  if (area === "local" && changes.focusSession) {
+    focusSession = changes.focusSession.newValue || null;
+    renderFocusStatus();
+  }
+  if (area === "local" && changes.strictMode) {
+    const strictMode = changes.strictMode.newValue;
+    strictUntil = strictMode ? strictMode.until : null;
+    renderStrictMode();
+  }
 });
 
+// Tick the session and pause countdowns
+setInterval(() => {
+  if (focusSession) renderFocusStatus();
+  if (pausedUntil) renderPause();
+}, 1000);
+
 // Open block statistics page in a new tab
 document.getElementById("stats-link").addEventListener("click", (e) => {
   e.preventDefault();
   chrome.tabs.create({ url: chrome.runtime.getURL("stats.html") });
 });
 
+// Open the options page
+document.getElementById("options-link").addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+// Open import/export page in a new tab (file pickers close the popup)
+document.getElementById("import-link").addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.tabs.create({ url: chrome.runtime.getURL("import.html") });
+});
+
+/**
+ * Return the scope new domain entries get: "site" (the registrable domain)
+ * or "host" (see domains.js).
+ */
+function getDomainScope() {
+  return document.getElementById("whole-site").checked ? "site" : "host";
+}
+
+// Save the scope, and redo the prefilled domain if it's still untouched
+document.getElementById("whole-site").addEventListener("change", async () => {
+  if (prefill && input.value === prefill.value) {
+    prefill.value = normalizeDomain(prefill.host, getDomainScope());
+    input.value = prefill.value;
+  }
+  try {
+    await setPreferences({ domainScope: getDomainScope() });
+  } catch (error) {
+    console.error('[Website Blocker] Error saving domain scope:', error);
+    showError("Failed to save. Try again.");
+  }
+});
+
 /**
- * Get the current active tab's domain and populate the input field.
+ * Get the current active tab's domain and populate the input field, unless
+ * the prefillDomain preference is off or something was typed already.
  */
 async function prefillCurrentDomain() {
   try {
+    const { prefillDomain } = await getPreferences(["prefillDomain"]);
+    if (!prefillDomain || input.value) return;
     const [tab] = await chrome.tabs.query({ active: true, currentWindow: true });
     if (tab && tab.url) {
       const url = new URL(tab.url);
       // Only prefill for http/https URLs (not chrome://, chrome-extension://, etc.)
       if (url.protocol === 'http:' || url.protocol === 'https:') {
-        const domain = normalizeDomain(url.hostname);
+        const domain = normalizeDomain(url.hostname, getDomainScope());
         if (isValidDomain(domain)) {
+          prefill = { host: url.hostname, value: domain };
           input.value = domain;
           input.select(); // Select the text so user can easily replace it
         }
@@ -199,12 +2006,82 @@ async function prefillCurrentDomain() {
   }
 }
 
+// Prefill or clear the input when the preference changes on the options page
+onPreferencesChanged((values) => {
+  if (values.prefillDomain === true) {
+    prefillCurrentDomain();
+  } else if (values.prefillDomain === false && prefill && input.value === prefill.value) {
+    input.value = "";
+    prefill = null;
+  }
+  // Follow the popup's own preferences changed in another window
+  if (values.domainScope) {
+    document.getElementById("whole-site").checked = values.domainScope === "site";
+  }
+  if (values.listSort && values.listSort !== sortSelect.value) {
+    sortSelect.value = values.listSort;
+    refreshList().catch((error) => {
+      console.error('[Website Blocker] Error sorting sites:', error);
+    });
+  }
+  if ("productiveDestination" in values) {
+    document.getElementById("destination-input").value = values.productiveDestination;
+  }
+});
+
 // Load and render the list on popup open, then prefill current domain
-chrome.storage.sync.get({ blockedSites: [] })
-  .then((data) => {
-    renderList(data.blockedSites);
-    return prefillCurrentDomain();
+Promise.all([
+  getSettings({
+    blockedSites: [],
+    siteOptions: {},
+    allowedSites: [],
+    blockMode: "blocklist",
+    blockedKeywords: [],
+    siteAddedAt: {},
+    ...PROFILE_DEFAULTS
+  }),
+  getPreferences(["domainScope", "listSort", "productiveDestination"])
+])
+  .then(([data, preferences]) => {
+    const { blockGroups, profiles, activeProfile, siteGroups } = data;
+    profileSettings = { blockGroups, profiles, activeProfile, siteGroups };
+    renderProfiles();
+    document.getElementById("whole-site").checked = preferences.domainScope === "site";
+    siteOptions = data.siteOptions;
+    siteAddedAt = data.siteAddedAt;
+    sortSelect.value = preferences.listSort;
+    renderAllowList(data.allowedSites);
+    renderKeywordList(data.blockedKeywords);
+    renderMode(data.blockMode);
+    document.getElementById("destination-input").value = preferences.productiveDestination;
+    return Promise.all([
+      data.blockedSites,
+      getLocalData({
+        focusSession: null,
+        siteUsage: {},
+        strictMode: null,
+        ruleStatus: null,
+        pausedUntil: null,
+        blockStats: {}
+      })
+    ]);
+  })
+  .then(([blockedSites, data]) => {
+    for (const [entry, dates] of Object.entries(data.blockStats)) {
+      blockCounts[entry] = Object.values(dates).reduce((sum, count) => sum + count, 0);
+    }
+    pausedUntil = data.pausedUntil;
+    renderPause();
+    renderRuleStatus(data.ruleStatus);
+    strictUntil = data.strictMode ? data.strictMode.until : null;
+    renderStrictMode();
+    usageToday = data.siteUsage[localDateKey(new Date())] || {};
+    renderList(blockedSites);
+    focusSession = data.focusSession;
+    renderFocusStatus();
+    return loadSubscriptions();
   })
+  .then(prefillCurrentDomain)
   .catch((error) => {
     console.error('[Website Blocker] Error loading sites:', error);
     emptyMsg.textContent = "Error loading blocked sites";
@@ -0,0 +1,262 @@
+/**
+ * Preference schema for Website Blocker.
+ *
+ * Behavior the user tunes on the options page (options.html), the popup and
+ * the stats page is described once here: each preference is a sync storage
+ * key with a type, its limits and a default.
+ *
+ *   prefillDomain          whether the popup's input starts with the current domain
+ *   domainScope            whether sites added from the popup, menus and
+ *                          shortcuts are exact hosts or whole sites (domains.js)
+ *   listSort               how the popup sorts the blocklist
+ *   productiveDestination  where sites set to "productive destination" redirect
+ *   retentionDays          how long block statistics, events and usage are kept
+ *   weeklySummary          whether the weekly summary notification is sent
+ *   bypassSettings         "N more minutes" durations, limits and friction
+ *   blockPage              what the blocked page shows and what "Go Back" does
+ *
+ * Values are read through getPreferences(), which fills in defaults and
+ * drops anything stored that doesn't validate, and written through
+ * setPreferences(), which refuses invalid ones. onPreferencesChanged()
+ * reports the new, validated values; the background worker and every page
+ * that depends on a preference listen to it. Needs storage.js.
+ */
+
+// Quotes the blocked page picks from until the user saves their own
+const BUILT_IN_QUOTES = [
+  "The secret of getting ahead is getting started.",
+  "Focus on being productive instead of busy.",
+  "It's not about having time. It's about making time.",
+  "Don't watch the clock; do what it does. Keep going.",
+  "Your future self will thank you.",
+  "Small disciplines repeated with consistency lead to great achievements.",
+  "Discipline is choosing between what you want now and what you want most.",
+  "You don't have to be extreme, just consistent.",
+  "The best time to start was yesterday. The next best time is now.",
+  "What you do today can improve all your tomorrows."
+];
+
+/**
+ * Types: "boolean"; "integer" (min, max); "choice" (choices); "url", an
+ * http(s) URL as normalizeWebUrl() (rules.js) writes it, or "" for none;
+ * "list" of distinct values of the item type, at least minLength long; and
+ * "object", whose fields are preferences of their own, checked and
+ * defaulted one by one.
+ */
+const PREFERENCE_SCHEMA = {
+  prefillDomain: {
+    type: "boolean",
+    label: "Prefill the current domain",
+    default: true
+  },
+  domainScope: {
+    type: "choice",
+    label: "Block the whole site",
+    // "host": the host as given; "site": its registrable domain
+    choices: ["host", "site"],
+    default: "host"
+  },
+  listSort: {
+    type: "choice",
+    label: "Sort",
+    choices: ["name", "added", "blocks"],
+    default: "name"
+  },
+  productiveDestination: {
+    type: "url",
+    label: "Productive destination",
+    default: ""
+  },
+  retentionDays: {
+    type: "integer",
+    label: "History length",
+    min: 7,
+    max: 365,
+    default: 30
+  },
+  weeklySummary: {
+    type: "boolean",
+    label: "Weekly summary",
+    default: true
+  },
+  bypassSettings: {
+    type: "object",
+    label: "Bypass settings",
+    fields: {
+      durations: {
+        type: "list",
+        label: "Durations",
+        item: { type: "choice", choices: [1, 5, 10, 15, 30] },
+        minLength: 1,
+        default: [5]
+      },
+      maxPerDay: { type: "integer", label: "Bypasses per site per day", min: 0, max: 50, default: 0 },
+      cooldownMinutes: { type: "integer", label: "Cooldown", min: 0, max: 1440, default: 0 },
+      friction: {
+        type: "choice",
+        label: "Before allowing",
+        choices: ["none", "countdown", "typing", "math"],
+        default: "none"
+      },
+      countdownSeconds: { type: "integer", label: "Countdown", min: 5, max: 300, default: 30 },
+      askIntent: { type: "boolean", label: "Ask why first", default: false }
+    }
+  },
+  blockPage: {
+    type: "object",
+    label: "Block page",
+    fields: {
+      // "quote": the site's own message, else a random quote; "message": only
+      // the site's own message
+      show: { type: "choice", label: "Show", choices: ["quote", "message"], default: "quote" },
+      // "back": go back, or close the tab when there is no history; "close":
+      // always close the tab
+      goBack: { type: "choice", label: "Go Back", choices: ["back", "close"], default: "back" }
+    }
+  }
+};
+
+/**
+ * Return a preference's default value; for objects, the defaults of their
+ * fields.
+ */
+function preferenceDefault(schema) {
+  if (schema.type !== "object") return schema.default;
+  const value = {};
+  for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+    value[field] = preferenceDefault(fieldSchema);
+  }
+  return value;
+}
+
+/**
+ * Check a value against a preference's schema.
+ * Returns an error message, or null if the value is valid.
+ */
+function checkPreference(schema, value) {
+  const label = schema.label || "Value";
+  switch (schema.type) {
+    case "boolean":
+      return typeof value === "boolean" ? null : `${label} must be on or off`;
+    case "integer":
+      if (!Number.isInteger(value) || value < schema.min || value > schema.max) {
+        return `${label} must be a whole number from ${schema.min} to ${schema.max}`;
+      }
+      return null;
+    case "choice":
+      return schema.choices.includes(value) ? null : `${label} has an unknown value`;
+    case "url": {
+      if (value === "") return null;
+      let url = null;
+      try {
+        url = typeof value === "string" ? new URL(value) : null;
+      } catch (error) {
+        // Not a URL
+      }
+      const isWeb = url && (url.protocol === "http:" || url.protocol === "https:") &&
+        url.hostname.includes(".") && url.href === value;
+      return isWeb ? null : `${label} must be a web address`;
+    }
+    case "list": {
+      if (!Array.isArray(value) || value.length < schema.minLength) {
+        return `Pick at least ${schema.minLength} for ${label.toLowerCase()}`;
+      }
+      if (new Set(value).size !== value.length) return `${label} has duplicates`;
+      const itemSchema = { ...schema.item, label };
+      for (const item of value) {
+        const error = checkPreference(itemSchema, item);
+        if (error) return error;
+      }
+      return null;
+    }
+    case "object": {
+      if (!value || typeof value !== "object" || Array.isArray(value)) {
+        return `${label} must be a set of options`;
+      }
+      for (const field of Object.keys(value)) {
+        if (!schema.fields[field]) return `${label} has an unknown option "${field}"`;
+      }
+      for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+        const error = checkPreference(fieldSchema, value[field]);
+        if (error) return error;
+      }
+      return null;
+    }
+    default:
+      return `${label} has an unknown type`;
+  }
+}
+
+/**
+ * Validate a value for a preference.
+ * Returns an error message, or null if the value is valid.
+ */
+function validatePreference(key, value) {
+  const schema = PREFERENCE_SCHEMA[key];
+  if (!schema) return `Unknown setting "${key}"`;
+  return checkPreference(schema, value);
+}
+
+/**
+ * Turn a stored value into a valid one: unset or invalid values get the
+ * default. Objects are repaired field by field, so that settings saved by
+ * an older version keep what is still valid and gain the new fields.
+ */
+function readPreference(schema, stored) {
+  if (schema.type === "object") {
+    const source = stored && typeof stored === "object" && !Array.isArray(stored) ? stored : {};
+    const value = {};
+    for (const [field, fieldSchema] of Object.entries(schema.fields)) {
+      value[field] = readPreference(fieldSchema, source[field]);
+    }
+    return value;
+  }
+  if (stored === undefined) return preferenceDefault(schema);
+  if (checkPreference(schema, stored)) {
+    console.warn('[Website Blocker] Ignoring invalid stored setting:', schema.label, stored);
+    return preferenceDefault(schema);
+  }
+  return stored;
+}
+
+/**
+ * Read preferences, by default all of them, filling in defaults for
+ * anything unset or invalid.
+ */
+async function getPreferences(keys = Object.keys(PREFERENCE_SCHEMA)) {
+  const stored = await getSettings(Object.fromEntries(keys.map((key) => [key, undefined])));
+  const values = {};
+  for (const key of keys) {
+    values[key] = readPreference(PREFERENCE_SCHEMA[key], stored[key]);
+  }
+  return values;
+}
+
+/**
+ * Validate and save preferences. Throws, saving nothing, if any value is
+ * invalid.
+ */
+async function setPreferences(values) {
+  for (const [key, value] of Object.entries(values)) {
+    const error = validatePreference(key, value);
+    if (error) throw new Error(error);
+  }
+  await setSettings(values);
+}
+
+/**
+ * Listen for preference changes, from any page or browser. The listener gets
+ * the changed preferences and their new values, validated and defaulted as
+ * getPreferences() would return them: { retentionDays: 90 }.
+ */
+function onPreferencesChanged(listener) {
+  onStorageChanged((changes, area) => {
+    if (area !== "sync") return;
+    const values = {};
+    for (const [key, change] of Object.entries(changes)) {
+      if (!PREFERENCE_SCHEMA[key]) continue;
+      values[key] = readPreference(PREFERENCE_SCHEMA[key], change.newValue);
+    }
+    if (Object.keys(values).length > 0) listener(values);
+  });
+}
@@ -0,0 +1,79 @@
+/**
+ * Group and profile model for Website Blocker.
+ *
+ * Blocklist entries are sorted into named groups ("Social", "News",
+ * "Shopping"), and profiles ("Work", "Study", "Weekend") pick which groups
+ * are blocked. Only the active profile's groups get rules. In sync storage:
+ *
+ *   blockGroups    [{ id, name }], starting with the default group
+ *   profiles       [{ id, name, groups: [groupId, ...] }]
+ *   activeProfile  id of the profile in use
+ *   siteGroups     { entry: groupId } for entries outside the default group
+ *
+ * blockedSites still holds the entries of every group. An entry without a
+ * siteGroups record, or whose group was removed, is in the default group,
+ * which is where the flat list of earlier versions ends up.
+ */
+
+const DEFAULT_GROUP_ID = "default";
+
+// Until the user adds any: one group, blocked by one profile
+const PROFILE_DEFAULTS = {
+  blockGroups: [{ id: DEFAULT_GROUP_ID, name: "General" }],
+  profiles: [{ id: "default", name: "Default", groups: [DEFAULT_GROUP_ID] }],
+  activeProfile: "default",
+  siteGroups: {}
+};
+
+const PROFILE_NAME_MAX_LENGTH = 30;
+
+/**
+ * Return the active profile, falling back to the first one if the stored id
+ * is unknown.
+ */
+function getActiveProfile({ profiles, activeProfile }) {
+  return profiles.find((profile) => profile.id === activeProfile) || profiles[0] || null;
+}
+
+/**
+ * Return the id of the group a blocklist entry is in.
+ */
+function getEntryGroup(entry, { blockGroups, siteGroups }) {
+  const id = siteGroups[entry];
+  return id && blockGroups.some((group) => group.id === id) ? id : DEFAULT_GROUP_ID;
+}
+
+/**
+ * Return the blocklist entries in the active profile's groups.
+ */
+function getProfileEntries(blockedSites, settings) {
+  const profile = getActiveProfile(settings);
+  if (!profile) return blockedSites;
+  const groups = new Set(profile.groups);
+  return blockedSites.filter((entry) => groups.has(getEntryGroup(entry, settings)));
+}
+
+/**
+ * Return the group new entries go to when none is picked: the active
+ * profile's first group, so that they are blocked right away.
+ */
+function getTargetGroup(settings) {
+  const profile = getActiveProfile(settings);
+  const id = profile && profile.groups.find((groupId) =>
+    settings.blockGroups.some((group) => group.id === groupId)
+  );
+  return id || DEFAULT_GROUP_ID;
+}
+
+/**
+ * Validate the name of a new group or profile against the existing ones
+ * (compared regardless of case). Returns an error message, or null if the
+ * name is valid.
+ */
+function validateProfileName(name, existing) {
+  if (!name) return "Enter a name";
+  if (name.length > PROFILE_NAME_MAX_LENGTH) return "Name is too long";
+  const lower = name.toLowerCase();
+  if (existing.some((item) => item.name.toLowerCase() === lower)) return "Already exists";
+  return null;
+}
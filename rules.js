@@ -0,0 +1,290 @@
+/**
+ * Site rule model for Website Blocker.
+ *
+ * Entries in blockedSites are plain strings whose syntax decides their type:
+ *
+ *   reddit.com               domain    the domain and all of its subdomains
+ *   youtube.com/shorts       path      URLs on the domain starting with the path
+ *   *.reddit.com/r/*         wildcard  "*" matches any run of characters
+ *   /reddit\.com\/r\/all/    regex     RE2 regular expression on the full URL
+ *
+ * Keywords (blockedKeywords: { keyword, ignoreCase, wholeWord }) are blocked
+ * wherever they appear in a URL path or search query.
+ *
+ * Also holds the normalization and validation user input goes through; hosts
+ * are handled by domains.js, which must be loaded first.
+ * Shared by the popup and import page (validation, labels, budget usage,
+ * redirect targets) and the background worker (declarativeNetRequest
+ * conditions, budget enforcement, redirect loop checks).
+ */
+
+const ENTRY_TYPE_LABELS = {
+  domain: "Domain",
+  path: "Path",
+  wildcard: "Wildcard",
+  regex: "Regex"
+};
+
+/**
+ * Normalize user input to a blocklist entry (see the types above). Regex entries
+ * (/.../) are kept verbatim; everything else is lowercased and stripped of
+ * protocol, www., port, query, hash and trailing slashes, keeping any path.
+ * Hosts are converted to punycode, and a bare domain is reduced to its
+ * registrable domain when scope is "site" (see domains.js).
+ */
+function normalizeEntry(raw, scope = "host") {
+  const trimmed = raw.trim();
+  if (parseSiteEntry(trimmed).type === "regex") return trimmed;
+
+  const entry = trimmed
+    .replace(/^https?:\/\//i, "")
+    .split("?")[0]
+    .split("#")[0];
+  const slash = entry.indexOf("/");
+  const host = toASCIIHost((slash === -1 ? entry : entry.slice(0, slash)).split(":")[0])
+    .replace(/^www\./, "");
+  const path = slash === -1 ? "" : entry.slice(slash).toLowerCase().replace(/\/+$/, "");
+  if (!path && parseSiteEntry(host).type === "domain") return normalizeDomain(host, scope);
+  return host + path;
+}
+
+/**
+ * Validate a normalized blocklist entry.
+ * Returns an error message, or null if the entry is valid.
+ */
+async function validateEntry(entry) {
+  const { type, value } = parseSiteEntry(entry);
+
+  if (type === "regex") {
+    try {
+      new RegExp(value);
+    } catch (error) {
+      return "Invalid regex";
+    }
+    // declarativeNetRequest uses RE2, which rejects e.g. lookarounds
+    const result = await chrome.declarativeNetRequest.isRegexSupported({ regex: value });
+    return result.isSupported ? null : "Regex not supported";
+  }
+
+  const slash = value.indexOf("/");
+  const host = slash === -1 ? value : value.slice(0, slash);
+  const path = slash === -1 ? "" : value.slice(slash);
+  if (path && !/^\/[a-z0-9\-._~%!$&'()*+,;=:@\/]*$/.test(path)) {
+    return "Invalid path";
+  }
+
+  if (type === "wildcard") {
+    // Require some literal text so a lone "*" can't block the whole web
+    if (!/^[a-z0-9\-.*]*$/.test(host) || value.replace(/[*.\/]/g, "").length < 3) {
+      return "Invalid wildcard";
+    }
+    return null;
+  }
+
+  return isValidDomain(host) ? null : "Enter a valid domain";
+}
+
+/**
+ * Split a blocklist entry into its type and the pattern it carries.
+ */
+function parseSiteEntry(entry) {
+  if (entry.length > 2 && entry.startsWith("/") && entry.endsWith("/")) {
+    return { type: "regex", value: entry.slice(1, -1) };
+  }
+  if (entry.includes("*")) {
+    return { type: "wildcard", value: entry };
+  }
+  if (entry.includes("/")) {
+    return { type: "path", value: entry };
+  }
+  return { type: "domain", value: entry };
+}
+
+/**
+ * Build the declarativeNetRequest URL condition (urlFilter or regexFilter)
+ * matching a blocklist entry.
+ */
+function buildRuleCondition(entry) {
+  const { type, value } = parseSiteEntry(entry);
+  switch (type) {
+    case "regex":
+      return { regexFilter: value };
+    case "wildcard":
+      // "*.example.com/..." is covered by the "||" domain anchor; a pattern
+      // starting with a bare "*" is left unanchored
+      if (value.startsWith("*.")) return { urlFilter: `||${value.slice(2)}` };
+      if (value.startsWith("*")) return { urlFilter: value };
+      return { urlFilter: `||${value}` };
+    case "path":
+      return { urlFilter: `||${value}` };
+    default:
+      // Use ^ to match domain boundary (prevents subdomain false positives)
+      return { urlFilter: `||${value}^` };
+  }
+}
+
+/**
+ * Return the concrete host an entry applies to, or null when the entry is a
+ * regex or its host part contains a wildcard.
+ */
+function getEntryHost(entry) {
+  const { type, value } = parseSiteEntry(entry);
+  if (type === "regex") return null;
+  const host = value.split("/")[0].replace(/^\*\./, "");
+  return host && !host.includes("*") ? host : null;
+}
+
+/**
+ * Return a URL to open when an entry is temporarily allowed: the blocked
+ * path itself, or the entry's host for wildcards. Null for regex entries.
+ */
+function getEntryUrl(entry) {
+  const { type, value } = parseSiteEntry(entry);
+  if (type === "domain" || type === "path") return `https://${value}`;
+  const host = getEntryHost(entry);
+  return host ? `https://${host}` : null;
+}
+
+/**
+ * Sum a day's usage (seconds per host, see background.js) for an entry's
+ * host and its subdomains. Budgets count time on the whole host, so entries
+ * without a concrete host (regexes, host wildcards) have no usage.
+ */
+function getEntryUsageSeconds(entry, usageForDay) {
+  const host = getEntryHost(entry);
+  if (!host) return 0;
+  let total = 0;
+  for (const [usageHost, seconds] of Object.entries(usageForDay)) {
+    if (usageHost === host || usageHost.endsWith(`.${host}`)) total += seconds;
+  }
+  return total;
+}
+
+/**
+ * Convert a declarativeNetRequest urlFilter ("||" domain anchor, "*" wildcard,
+ * "^" separator) to an equivalent case-insensitive RegExp.
+ */
+function urlFilterToRegExp(filter) {
+  let prefix = "";
+  let pattern = filter;
+  if (pattern.startsWith("||")) {
+    // Scheme, then the host itself or any of its subdomains
+    prefix = "^[a-z][a-z0-9+.-]*://([^/?#]*\\.)?";
+    pattern = pattern.slice(2);
+  }
+  const body = [...pattern].map((c) => {
+    if (c === "*") return ".*";
+    if (c === "^") return "(?:[^a-z0-9_\\-.%]|$)";
+    return c.replace(/[.+?${}()|[\]\\\/]/g, "\\$&");
+  }).join("");
+  return new RegExp(prefix + body, "i");
+}
+
+/**
+ * Check whether a URL falls under a blocklist entry, using the same
+ * condition its rule gets (see buildRuleCondition).
+ */
+function entryMatchesUrl(entry, url) {
+  const condition = buildRuleCondition(entry);
+  try {
+    return condition.regexFilter
+      ? new RegExp(condition.regexFilter, "i").test(url)
+      : urlFilterToRegExp(condition.urlFilter).test(url);
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Return the blocklist entry that would block a URL, or null. A URL inside
+ * one of the entry's exceptions doesn't count as blocked by it.
+ */
+function findBlockingEntry(url, blockedSites, siteOptions) {
+  return blockedSites.find((entry) => {
+    if (!entryMatchesUrl(entry, url)) return false;
+    const exceptions = (siteOptions[entry] && siteOptions[entry].exceptions) || [];
+    return !exceptions.some((exception) => entryMatchesUrl(exception, url));
+  }) || null;
+}
+
+/**
+ * Normalize user input to an absolute http(s) URL, such as a redirect target
+ * or a subscribed list ("https://" is assumed when no scheme is given).
+ * Returns null if it isn't one.
+ */
+function normalizeWebUrl(raw) {
+  let text = raw.trim();
+  if (!/^[a-z][a-z0-9+.-]*:/i.test(text)) text = `https://${text}`;
+  try {
+    const url = new URL(text);
+    const isWeb = url.protocol === "http:" || url.protocol === "https:";
+    return isWeb && url.hostname.includes(".") ? url.href : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Longest per-site block page message (siteOptions[entry].message) and
+// custom block page quote
+const BLOCK_MESSAGE_MAX_LENGTH = 200;
+
+/**
+ * Resolve an entry's redirectTo option to a URL: its own target, or the
+ * global productive destination for "destination". Null means the entry
+ * shows the blocked page.
+ */
+function getRedirectTarget(options, productiveDestination) {
+  const redirectTo = options && options.redirectTo;
+  if (redirectTo === "destination") return productiveDestination || null;
+  return redirectTo || null;
+}
+
+// How a space in a keyword can appear in a URL path or query
+const KEYWORD_SEPARATOR = "(?:[-+_]|%20)+";
+
+/**
+ * Normalize a keyword as typed: trim it and collapse runs of whitespace.
+ */
+function normalizeKeyword(raw) {
+  return raw.trim().replace(/\s+/g, " ");
+}
+
+/**
+ * Regex for one keyword character: itself, or its percent-encoding.
+ */
+function keywordCharPattern(c) {
+  const literal = c.replace(/[.*+?^${}()|[\]\\\/]/g, "\\$&");
+  const encoded = encodeURIComponent(c);
+  return encoded === c ? literal : `(?:${literal}|${encoded})`;
+}
+
+/**
+ * Build the RE2 regex a keyword rule matches: the keyword in the URL path or
+ * in a search query parameter (q=, search_query=). Spaces match the ways URLs
+ * spell them ("+", "%20", "-", "_"); wholeWord adds word boundaries. Case is
+ * handled by the rule's isUrlFilterCaseSensitive flag. The host is captured
+ * for the blocked page, and the regex runs to the end of the URL so that a
+ * redirect replaces all of it.
+ */
+function buildKeywordRegex({ keyword, wholeWord }) {
+  let pattern = keyword
+    .split(" ")
+    .map((word) => [...word].map(keywordCharPattern).join(""))
+    .join(KEYWORD_SEPARATOR);
+  if (wholeWord) pattern = `\\b${pattern}\\b`;
+  return `^https?://([^/?#:]+)[^/?#]*(?:/[^?#]*${pattern}|[^?#]*\\?(?:[^#]*&)?(?:q|search_query)=[^&#]*${pattern}).*$`;
+}
+
+/**
+ * Validate a normalized keyword (with its wholeWord option).
+ * Returns an error message, or null if the keyword is valid.
+ */
+async function validateKeyword(item) {
+  if (item.keyword.length < 2) return "Keyword is too short";
+  if (item.keyword.length > 100) return "Keyword is too long";
+  const result = await chrome.declarativeNetRequest.isRegexSupported({
+    regex: buildKeywordRegex(item),
+    isCaseSensitive: !item.ignoreCase
+  });
+  return result.isSupported ? null : "Keyword not supported";
+}
@@ -0,0 +1,98 @@
+/**
+ * Regenerate public-suffixes.js from the Public Suffix List.
+ *
+ *   node scripts/update-public-suffixes.js [public_suffix_list.dat]
+ *
+ * Reads the given copy of the list, or downloads the current one from
+ * publicsuffix.org (Node 18 or later). Both the ICANN and the private
+ * sections are kept, since hosting platforms' subdomains belong to different
+ * people. Rules are converted to punycode, as domains.js only sees ASCII
+ * hosts. Not part of the extension; run it by hand and commit the result.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { domainToASCII } = require("url");
+
+const LIST_URL = "https://publicsuffix.org/list/public_suffix_list.dat";
+const OUTPUT = path.join(__dirname, "..", "public-suffixes.js");
+const LINE_WIDTH = 100;
+
+/**
+ * Read the rules out of the list's text: the first word of every line that
+ * isn't blank or a "//" comment.
+ */
+function parseRules(text) {
+  return text
+    .split(/\r?\n/)
+    .map((line) => line.trim().split(/\s/)[0])
+    .filter((rule) => rule && !rule.startsWith("//"));
+}
+
+/**
+ * Convert a rule to punycode, keeping its "!" or "*." prefix. Returns null
+ * for a rule that isn't a valid name.
+ */
+function toASCIIRule(rule) {
+  const [, prefix, name] = /^(!|\*\.)?(.*)$/.exec(rule);
+  const ascii = domainToASCII(name);
+  return ascii ? `${prefix || ""}${ascii}` : null;
+}
+
+/**
+ * Wrap the rules into lines of at most LINE_WIDTH characters.
+ */
+function wrapRules(rules) {
+  const lines = [];
+  let line = "";
+  for (const rule of rules) {
+    if (line && line.length + 1 + rule.length > LINE_WIDTH - 2) {
+      lines.push(line);
+      line = "";
+    }
+    line = line ? `${line} ${rule}` : rule;
+  }
+  if (line) lines.push(line);
+  return lines.map((l) => `  ${l}`).join("\n");
+}
+
+async function main() {
+  const source = process.argv[2];
+  const text = source
+    ? fs.readFileSync(source, "utf8")
+    : await (await fetch(LIST_URL)).text();
+
+  const rules = [];
+  for (const rule of parseRules(text)) {
+    const ascii = toASCIIRule(rule);
+    if (ascii) {
+      rules.push(ascii);
+    } else {
+      console.warn(`Skipping invalid rule: ${rule}`);
+    }
+  }
+  if (rules.length < 1000) throw new Error(`Only ${rules.length} rules found; is this the list?`);
+
+  const output = `/**
+ * Public Suffix List (https://publicsuffix.org/list/) for Website Blocker,
+ * used by domains.js to find registrable domains. Generated by
+ * scripts/update-public-suffixes.js; do not edit by hand.
+ *
+ * The list is published under the Mozilla Public License 2.0
+ * (https://mozilla.org/MPL/2.0/). Rules are in punycode: "*." rules make
+ * every label under a suffix a suffix too, and "!" rules are exceptions to
+ * them. ${rules.length} rules.
+ */
+
+const PUBLIC_SUFFIX_RULES = \`
+${wrapRules(rules)}
+\`;
+`;
+  fs.writeFileSync(OUTPUT, output);
+  console.log(`Wrote ${rules.length} rules to ${OUTPUT}`);
+}
+
+main().catch((error) => {
+  console.error(error);
+  process.exit(1);
+});
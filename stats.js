@@ -1,27 +1,36 @@
 /**
  * Block statistics page for Website Blocker.
  *
- * Reads blockStats from chrome.storage.local and displays
- * summary totals and per-domain breakdown over time.
+ * Reads blockStats and blockEvents from local storage (storage.js) and displays
+ * summary totals, per-domain breakdown with bypass rates, a daily trend, an
+ * hour-by-weekday heatmap and the reasons given for bypasses, and exports the
+ * raw events as CSV or JSON. Also edits goals (goals.js) and shows the
+ * history and streaks the background worker scores for them. How long
+ * history is kept is the retentionDays preference (preferences.js).
  */
 
 const STATS_KEY = "blockStats";
+const EVENTS_KEY = "blockEvents";
 
-/**
- * Return YYYY-MM-DD for a given date.
- */
-function dateKey(d) {
-  return d.toISOString().slice(0, 10);
-}
+// Heatmap rows in display order (Monday first); values follow Date.prototype.getDay()
+const HEATMAP_DAYS = [
+  { day: 1, label: "Mon" },
+  { day: 2, label: "Tue" },
+  { day: 3, label: "Wed" },
+  { day: 4, label: "Thu" },
+  { day: 5, label: "Fri" },
+  { day: 6, label: "Sat" },
+  { day: 0, label: "Sun" }
+];
 
 /**
- * Return an array of date keys for the last N days (including today).
+ * Return an array of local date keys for the last N days (including today).
  */
 function lastNDays(n) {
   const out = [];
   const d = new Date();
   for (let i = 0; i < n; i++) {
-    out.push(dateKey(d));
+    out.push(localDateKey(d));
     d.setDate(d.getDate() - 1);
   }
   return out.reverse();
@@ -39,12 +48,56 @@ function sumForDates(domainData, dateKeys) {
 }
 
 /**
- * Aggregate blockStats into per-domain totals for today, last 7, last 30.
+ * Count bypass events per site.
+ */
+function countBypasses(events) {
+  const counts = {};
+  for (const event of events) {
+    if (event.type === "bypass") counts[event.site] = (counts[event.site] || 0) + 1;
+  }
+  return counts;
+}
+
+/**
+ * Count block events per weekday (rows, by getDay()) and hour (columns).
  */
-function aggregate(stats) {
-  const today = dateKey(new Date());
+function buildHeatmap(events) {
+  const grid = Array.from({ length: 7 }, () => new Array(24).fill(0));
+  for (const event of events) {
+    if (event.type !== "block") continue;
+    const d = new Date(event.at);
+    grid[d.getDay()][d.getHours()] += 1;
+  }
+  return grid;
+}
+
+/**
+ * Count blocks and bypasses per local day over the last 30 days.
+ */
+function buildTrend(events) {
+  const days = lastNDays(30).map((key) => ({ key, blocks: 0, bypasses: 0 }));
+  const byKey = Object.fromEntries(days.map((day) => [day.key, day]));
+  for (const event of events) {
+    const day = byKey[localDateKey(new Date(event.at))];
+    if (!day) continue;
+    if (event.type === "block") day.blocks += 1;
+    if (event.type === "bypass") day.bypasses += 1;
+  }
+  return days;
+}
+
+/**
+ * Aggregate blockStats into per-domain totals for today, last 7, last 30,
+ * plus 30-day bypass counts and bypass rate from the event log. The log
+ * reaches back as far as the retentionDays preference, so bypasses are
+ * counted over the same 30 days as the blocks they are compared to.
+ */
+function aggregate(stats, events) {
+  const today = localDateKey(new Date());
   const last7 = lastNDays(7);
   const last30 = lastNDays(30);
+  const last30Keys = new Set(last30);
+  const bypasses = countBypasses(events.filter((e) => last30Keys.has(localDateKey(new Date(e.at)))));
 
   const byDomain = [];
   for (const [domain, dates] of Object.entries(stats)) {
@@ -53,11 +106,14 @@ function aggregate(stats) {
     const last7Count = sumForDates(dates, last7);
     const last30Count = sumForDates(dates, last30);
     if (todayCount === 0 && last7Count === 0 && last30Count === 0) continue;
+    const bypassCount = bypasses[domain] || 0;
     byDomain.push({
       domain,
       today: todayCount,
       last7: last7Count,
       last30: last30Count,
+      bypasses: bypassCount,
+      bypassRate: last30Count > 0 ? bypassCount / last30Count : 0,
       dates,
     });
   }
@@ -120,12 +176,290 @@ function render(aggregated) {
           <span class="cell-count">${row.last30}</span>
         </div>
       </td>
+      <td class="count">${row.bypasses}</td>
+      <td class="count" title="Bypasses per block over the last 30 days">${Math.round(row.bypassRate * 100)}%</td>
     `;
     tbody.appendChild(tr);
   });
 
 }
 
+/**
+ * Render the 30-day trend as a column chart of blocks with bypasses overlaid.
+ */
+function renderTrend(days) {
+  const chart = document.getElementById("trend-chart");
+  const max = Math.max(1, ...days.map((d) => Math.max(d.blocks, d.bypasses)));
+  chart.innerHTML = "";
+  for (const day of days) {
+    const column = document.createElement("div");
+    column.className = "trend-column";
+    column.title = `${day.key}: ${day.blocks} block${day.blocks !== 1 ? "s" : ""}, ` +
+      `${day.bypasses} bypass${day.bypasses !== 1 ? "es" : ""}`;
+
+    const blocksBar = document.createElement("div");
+    blocksBar.className = "trend-bar blocks";
+    blocksBar.style.height = `${(day.blocks / max) * 100}%`;
+
+    const bypassesBar = document.createElement("div");
+    bypassesBar.className = "trend-bar bypasses";
+    bypassesBar.style.height = `${(day.bypasses / max) * 100}%`;
+
+    column.appendChild(blocksBar);
+    column.appendChild(bypassesBar);
+    chart.appendChild(column);
+  }
+}
+
+/**
+ * Render the hour-by-weekday heatmap; cell shading scales with the busiest hour.
+ */
+function renderHeatmap(grid) {
+  const table = document.getElementById("heatmap");
+  const max = Math.max(1, ...grid.flat());
+  table.innerHTML = "";
+
+  const header = document.createElement("tr");
+  header.appendChild(document.createElement("th"));
+  for (let hour = 0; hour < 24; hour++) {
+    const th = document.createElement("th");
+    th.textContent = hour % 3 === 0 ? hour : "";
+    header.appendChild(th);
+  }
+  table.appendChild(header);
+
+  for (const { day, label } of HEATMAP_DAYS) {
+    const tr = document.createElement("tr");
+    const th = document.createElement("th");
+    th.textContent = label;
+    tr.appendChild(th);
+    grid[day].forEach((count, hour) => {
+      const td = document.createElement("td");
+      td.style.setProperty("--heat", (count / max).toFixed(2));
+      td.title = `${label} ${String(hour).padStart(2, "0")}:00 \u2013 ${count} block${count !== 1 ? "s" : ""}`;
+      tr.appendChild(td);
+    });
+    table.appendChild(tr);
+  }
+}
+
+// Bypasses with a stated reason, newest first, as last loaded
+let journal = [];
+
+// Scored days shown per goal
+const GOAL_HISTORY_SHOWN = 14;
+
+/**
+ * Render the goals with their streaks, today's count so far and a strip of
+ * recent scored days (green passed, red failed).
+ */
+function renderGoals(goals, goalProgress, todayCounts) {
+  const list = document.getElementById("goal-list");
+  list.innerHTML = "";
+  document.getElementById("goals-empty").classList.toggle("hidden", goals.length > 0);
+
+  for (const goal of goals) {
+    const record = goalProgress[goal.id] || { history: {}, current: 0, best: 0 };
+    const li = document.createElement("li");
+
+    const info = document.createElement("div");
+    info.className = "goal-info";
+    const name = document.createElement("div");
+    name.className = "goal-name";
+    name.textContent = describeGoal(goal);
+    const streak = document.createElement("div");
+    streak.className = "goal-streak";
+    const parts = [
+      `Streak: ${record.current} day${record.current !== 1 ? "s" : ""}`,
+      `best ${record.best}`
+    ];
+    if (goalAppliesOn(goal, new Date())) {
+      const count = todayCounts[goal.metric];
+      parts.push(`today ${count} so far${count >= goal.below ? " (missed)" : ""}`);
+    }
+    streak.textContent = parts.join(" \u00b7 ");
+    info.appendChild(name);
+    info.appendChild(streak);
+
+    const history = document.createElement("div");
+    history.className = "goal-history";
+    const keys = Object.keys(record.history).sort().slice(-GOAL_HISTORY_SHOWN);
+    for (const key of keys) {
+      const { count, passed } = record.history[key];
+      const day = document.createElement("span");
+      day.className = `goal-day ${passed ? "passed" : "failed"}`;
+      day.title = `${key}: ${count} ${GOAL_METRIC_NAMES[goal.metric][count === 1 ? 0 : 1]}`;
+      history.appendChild(day);
+    }
+
+    const remove = document.createElement("button");
+    remove.type = "button";
+    remove.className = "goal-remove";
+    remove.textContent = "\u00d7";
+    remove.title = "Remove goal";
+    remove.setAttribute("aria-label", `Remove goal: ${describeGoal(goal)}`);
+    remove.addEventListener("click", () => removeGoal(goal.id));
+
+    li.appendChild(info);
+    li.appendChild(history);
+    li.appendChild(remove);
+    list.appendChild(li);
+  }
+}
+
+/**
+ * Load the goals, their progress and today's counts, and render them.
+ */
+function loadGoals() {
+  return Promise.all([
+    getSettings({ goals: [] }),
+    getPreferences(["weeklySummary"]),
+    getLocalData({ goalProgress: {}, [EVENTS_KEY]: [] })
+  ]).then(([settings, preferences, data]) => {
+    const today = localDateKey(new Date());
+    const todayCounts = { blocks: 0, bypasses: 0 };
+    for (const event of data[EVENTS_KEY]) {
+      if (localDateKey(new Date(event.at)) !== today) continue;
+      if (event.type === "block") todayCounts.blocks += 1;
+      if (event.type === "bypass") todayCounts.bypasses += 1;
+    }
+    document.getElementById("weekly-summary").checked = preferences.weeklySummary;
+    renderGoals(settings.goals, data.goalProgress, todayCounts);
+  });
+}
+
+/**
+ * Show a problem with the goal form next to it, or clear it.
+ */
+function showGoalError(message) {
+  document.getElementById("goal-error").textContent = message;
+}
+
+/**
+ * Add the goal described by the form. The background worker scores it from
+ * the day it was created.
+ */
+async function addGoal() {
+  const none = document.getElementById("goal-amount").value === "none";
+  const goal = {
+    id: `goal-${Date.now().toString(36)}`,
+    metric: document.getElementById("goal-metric").value,
+    below: none ? 1 : Number(document.getElementById("goal-below").value),
+    days: document.getElementById("goal-days").value,
+    createdAt: Date.now()
+  };
+  const error = validateGoal(goal);
+  if (error) {
+    showGoalError(error);
+    return;
+  }
+  try {
+    const { goals } = await getSettings({ goals: [] });
+    const duplicate = goals.some((g) =>
+      g.metric === goal.metric && g.below === goal.below && g.days === goal.days
+    );
+    if (duplicate) {
+      showGoalError("You already have that goal");
+      return;
+    }
+    await setSettings({ goals: [...goals, goal] });
+    showGoalError("");
+  } catch (error) {
+    console.error('[Website Blocker] Error adding goal:', error);
+    showGoalError("Failed to save. Try again.");
+  }
+}
+
+/**
+ * Remove a goal; its history goes with it.
+ */
+async function removeGoal(id) {
+  try {
+    const { goals } = await getSettings({ goals: [] });
+    await setSettings({ goals: goals.filter((g) => g.id !== id) });
+  } catch (error) {
+    console.error('[Website Blocker] Error removing goal:', error);
+    showGoalError("Failed to remove goal");
+  }
+}
+
+/**
+ * Collect the bypasses the user gave a reason for, newest first.
+ */
+function buildJournal(events) {
+  return events
+    .filter((event) => event.type === "bypass" && event.intent)
+    .sort((a, b) => b.at - a.at);
+}
+
+/**
+ * Render the intent journal for the site picked in the filter (or all sites),
+ * keeping the filter's options in step with the journaled sites.
+ */
+function renderJournal() {
+  const select = document.getElementById("journal-site");
+  const list = document.getElementById("journal-list");
+  const picked = select.value;
+
+  const sites = [...new Set(journal.map((event) => event.site))].sort();
+  select.length = 1;
+  for (const site of sites) select.add(new Option(site, site));
+  select.value = sites.includes(picked) ? picked : "";
+
+  list.innerHTML = "";
+  const shown = journal.filter((event) => !select.value || event.site === select.value);
+  for (const event of shown) {
+    const li = document.createElement("li");
+    const reason = document.createElement("div");
+    reason.className = "journal-reason";
+    reason.textContent = `\u201c${event.intent}\u201d`;
+    const meta = document.createElement("div");
+    meta.className = "journal-meta";
+    const when = new Date(event.at).toLocaleString([], { dateStyle: "medium", timeStyle: "short" });
+    meta.textContent = `${event.site} \u00b7 ${when} \u00b7 ${event.minutes} min`;
+    li.appendChild(reason);
+    li.appendChild(meta);
+    list.appendChild(li);
+  }
+  document.getElementById("journal-empty").classList.toggle("hidden", journal.length > 0);
+}
+
+/**
+ * Quote a CSV field when it contains a delimiter, quote or newline.
+ */
+function csvField(value) {
+  const text = value === undefined || value === null ? "" : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Download the raw event log as CSV or JSON.
+ */
+function exportEvents(format) {
+  getLocalData({ [EVENTS_KEY]: [] }).then((data) => {
+    const events = data[EVENTS_KEY];
+    let content;
+    let type;
+    if (format === "csv") {
+      const rows = [["type", "site", "time", "minutes", "intent"]];
+      for (const e of events) {
+        rows.push([e.type, e.site, new Date(e.at).toISOString(), e.minutes, e.intent]);
+      }
+      content = rows.map((row) => row.map(csvField).join(",")).join("\n") + "\n";
+      type = "text/csv";
+    } else {
+      content = JSON.stringify({ exportedAt: new Date().toISOString(), events }, null, 2);
+      type = "application/json";
+    }
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement("a");
+    link.href = url;
+    link.download = `website-blocker-events-${localDateKey(new Date())}.${format}`;
+    link.click();
+    URL.revokeObjectURL(url);
+  });
+}
+
 function escapeHtml(text) {
   const div = document.createElement("div");
   div.textContent = text;
@@ -136,11 +470,77 @@ function escapeHtml(text) {
  * Load stats from storage and render.
  */
 function loadAndRender() {
-  chrome.storage.local.get({ [STATS_KEY]: {} }, (data) => {
+  getLocalData({ [STATS_KEY]: {}, [EVENTS_KEY]: [] }).then((data) => {
     const stats = data[STATS_KEY];
-    const aggregated = aggregate(stats);
+    const events = data[EVENTS_KEY];
+    const aggregated = aggregate(stats, events);
     render(aggregated);
+    renderTrend(buildTrend(events));
+    renderHeatmap(buildHeatmap(events));
+    journal = buildJournal(events);
+    renderJournal();
   });
 }
 
+document.getElementById("journal-site").addEventListener("change", renderJournal);
+
+document.getElementById("goal-form").addEventListener("submit", (e) => {
+  e.preventDefault();
+  addGoal();
+});
+
+// "No ..." goals have no number to fill in
+document.getElementById("goal-amount").addEventListener("change", (e) => {
+  document.getElementById("goal-below").classList.toggle("hidden", e.target.value === "none");
+});
+
+document.getElementById("weekly-summary").addEventListener("change", (e) => {
+  setPreferences({ weeklySummary: e.target.checked }).catch((error) => {
+    console.error('[Website Blocker] Error saving weekly summary setting:', error);
+  });
+});
+
+// Follow goal edits and the scores the background worker saves, and history
+// pruned after the retention window changes
+onStorageChanged((changes, area) => {
+  if ((area === "sync" && changes.goals) || (area === "local" && changes.goalProgress)) {
+    loadGoals().catch((error) => {
+      console.error('[Website Blocker] Error loading goals:', error);
+    });
+  }
+  if (area === "local" && (changes[STATS_KEY] || changes[EVENTS_KEY])) {
+    loadAndRender();
+  }
+});
+
+/**
+ * Show how many days of history are kept.
+ */
+function renderRetention(days) {
+  document.getElementById("retention-days").textContent = days;
+}
+
+onPreferencesChanged((values) => {
+  if (values.retentionDays) renderRetention(values.retentionDays);
+  if ("weeklySummary" in values) {
+    document.getElementById("weekly-summary").checked = values.weeklySummary;
+  }
+});
+
+document.getElementById("options-link").addEventListener("click", (e) => {
+  e.preventDefault();
+  chrome.runtime.openOptionsPage();
+});
+
+document.getElementById("export-csv").addEventListener("click", () => exportEvents("csv"));
+document.getElementById("export-json").addEventListener("click", () => exportEvents("json"));
+
 loadAndRender();
+loadGoals().catch((error) => {
+  console.error('[Website Blocker] Error loading goals:', error);
+});
+getPreferences(["retentionDays"])
+  .then(({ retentionDays }) => renderRetention(retentionDays))
+  .catch((error) => {
+    console.error('[Website Blocker] Error loading settings:', error);
+  });
@@ -0,0 +1,326 @@
+/**
+ * Storage layer for Website Blocker.
+ *
+ * Settings (the blocklist, per-site options, allowlist, keywords, mode, bypass
+ * settings, block page quotes, groups and profiles) live in
+ * chrome.storage.sync. The lists in SHARDED_DEFAULTS can outgrow sync's 8 KB
+ * per-item quota, so each is split across numbered keys
+ * ("blockedSites:0", "blockedSites:1", ...) plus a "blockedSites:meta" record
+ * holding the chunk count. When sync is full a list is kept in
+ * chrome.storage.local under the same keys instead (the stale sync copy is
+ * left for other browsers); the next write that fits moves it back.
+ *
+ * The layout is versioned with "schemaVersion" in sync storage and upgraded by
+ * migrateStorage() from runtime.onInstalled. Every page and the background
+ * worker read and write storage through these functions, and key daily data
+ * with localDateKey().
+ */
+
+const STORAGE_SCHEMA_VERSION = 3;
+
+// Settings split across several sync keys, with the empty value of each
+const SHARDED_DEFAULTS = {
+  blockedSites: [],
+  siteOptions: {},
+  allowedSites: [],
+  blockedKeywords: [],
+  blockPageQuotes: [],
+  siteGroups: {},
+  siteAddedAt: {}
+};
+
+// Target size of one chunk; leaves room under QUOTA_BYTES_PER_ITEM (8192)
+// for the key name and JSON punctuation
+const CHUNK_BYTES = 7000;
+
+/**
+ * Upgrade steps keyed by the schema version they produce. Each runs once,
+ * from whichever browser installs the update first.
+ */
+const STORAGE_MIGRATIONS = {
+  // 1 → 2: move the flat list keys into chunks
+  2: async () => {
+    const legacy = await chrome.storage.sync.get(Object.keys(SHARDED_DEFAULTS));
+    if (Object.keys(legacy).length === 0) return;
+    // Drops the flat keys once the chunks are in sync; if sync is full the
+    // chunks went to local storage and the flat keys still take up space
+    await setSettings(legacy);
+    await chrome.storage.sync.remove(Object.keys(legacy));
+  },
+  // 2 → 3: blocklist groups and profiles (see profiles.js, which the worker
+  // loads). Entries without a group are in the default group, so the flat
+  // list moves there as it is; this records the group and its profile.
+  3: async () => {
+    const keys = ["blockGroups", "profiles", "activeProfile"];
+    const existing = await chrome.storage.sync.get(keys);
+    const missing = {};
+    for (const key of keys) {
+      if (!(key in existing)) missing[key] = PROFILE_DEFAULTS[key];
+    }
+    if (Object.keys(missing).length > 0) await chrome.storage.sync.set(missing);
+  }
+};
+
+function isShardedKey(key) {
+  return Object.prototype.hasOwnProperty.call(SHARDED_DEFAULTS, key);
+}
+
+function metaKey(key) {
+  return `${key}:meta`;
+}
+
+function chunkKey(key, index) {
+  return `${key}:${index}`;
+}
+
+/**
+ * Split a raw storage key like "blockedSites:3" into its setting and part,
+ * or return null for keys that aren't chunks of a sharded setting.
+ */
+function parseChunkKey(rawKey) {
+  const match = /^(\w+):(meta|\d+)$/.exec(rawKey);
+  return match && isShardedKey(match[1]) ? { key: match[1], part: match[2] } : null;
+}
+
+function byteLength(text) {
+  return new TextEncoder().encode(text).length;
+}
+
+/**
+ * Split a list (array) or map (object) into chunks of about CHUNK_BYTES of
+ * JSON each. Returns the storage items for the chunks and the meta record.
+ */
+function buildChunks(key, value) {
+  const items = Array.isArray(value) ? value : Object.entries(value);
+  const chunks = [];
+  let current = [];
+  let size = 0;
+  for (const item of items) {
+    const itemSize = byteLength(JSON.stringify(item)) + 1;
+    if (current.length > 0 && size + itemSize > CHUNK_BYTES) {
+      chunks.push(current);
+      current = [];
+      size = 0;
+    }
+    current.push(item);
+    size += itemSize;
+  }
+  if (current.length > 0) chunks.push(current);
+
+  const storageItems = { [metaKey(key)]: { chunks: chunks.length } };
+  chunks.forEach((chunk, i) => {
+    storageItems[chunkKey(key, i)] = Array.isArray(value) ? chunk : Object.fromEntries(chunk);
+  });
+  return storageItems;
+}
+
+/**
+ * Join the chunks of a sharded setting read from one storage area.
+ */
+function joinChunks(key, meta, items) {
+  const empty = SHARDED_DEFAULTS[key];
+  const parts = [];
+  for (let i = 0; i < meta.chunks; i++) {
+    parts.push(items[chunkKey(key, i)] || (Array.isArray(empty) ? [] : {}));
+  }
+  return Array.isArray(empty) ? parts.flat() : Object.assign({}, ...parts);
+}
+
+/**
+ * List the chunk keys of a setting from index `from` up to the chunk count in
+ * its meta record; with from > 0, the chunks a shorter value left behind.
+ */
+function chunkKeysFrom(key, meta, from) {
+  const keys = [];
+  for (let i = from; i < (meta ? meta.chunks : 0); i++) {
+    keys.push(chunkKey(key, i));
+  }
+  return keys;
+}
+
+/**
+ * True for errors chrome.storage.sync raises when it runs out of space
+ * (as opposed to its write-rate limits).
+ */
+function isStorageFullError(error) {
+  return /QUOTA_BYTES|MAX_ITEMS/.test(String(error && error.message));
+}
+
+/**
+ * Read settings, like chrome.storage.sync.get(defaults). Sharded settings are
+ * reassembled from whichever area holds them; lists not yet migrated are
+ * still read from their flat key.
+ */
+async function getSettings(defaults) {
+  const keys = Object.keys(defaults);
+  const sharded = keys.filter(isShardedKey);
+  const [syncData, localMeta] = await Promise.all([
+    chrome.storage.sync.get(null),
+    chrome.storage.local.get(sharded.map(metaKey))
+  ]);
+
+  const result = {};
+  for (const key of keys) {
+    if (!isShardedKey(key)) {
+      result[key] = key in syncData ? syncData[key] : defaults[key];
+      continue;
+    }
+    const localRecord = localMeta[metaKey(key)];
+    const syncRecord = syncData[metaKey(key)];
+    if (localRecord) {
+      const chunks = await chrome.storage.local.get(chunkKeysFrom(key, localRecord, 0));
+      result[key] = joinChunks(key, localRecord, chunks);
+    } else if (syncRecord) {
+      result[key] = joinChunks(key, syncRecord, syncData);
+    } else {
+      result[key] = key in syncData ? syncData[key] : defaults[key];
+    }
+  }
+  return result;
+}
+
+/**
+ * Save settings, like chrome.storage.sync.set(values). Sharded settings are
+ * written as chunks; if sync storage is full they are kept in local storage.
+ * Throws on any other storage error.
+ */
+async function setSettings(values) {
+  const plainItems = {};
+  const shardedItems = {};
+  const newCounts = {};
+  for (const [key, value] of Object.entries(values)) {
+    if (isShardedKey(key)) {
+      const items = buildChunks(key, value);
+      Object.assign(shardedItems, items);
+      newCounts[key] = items[metaKey(key)].chunks;
+    } else {
+      plainItems[key] = value;
+    }
+  }
+
+  const sharded = Object.keys(newCounts);
+  const [syncBefore, localMeta] = await Promise.all([
+    chrome.storage.sync.get([...sharded, ...sharded.map(metaKey)]),
+    chrome.storage.local.get(sharded.map(metaKey))
+  ]);
+
+  try {
+    await chrome.storage.sync.set({ ...plainItems, ...shardedItems });
+  } catch (error) {
+    if (sharded.length === 0 || !isStorageFullError(error)) throw error;
+    console.warn('[Website Blocker] Sync storage is full; keeping', sharded.join(", "), 'in local storage');
+    if (Object.keys(plainItems).length > 0) {
+      await chrome.storage.sync.set(plainItems);
+    }
+    await chrome.storage.local.set(shardedItems);
+    const stale = sharded.flatMap((key) =>
+      chunkKeysFrom(key, localMeta[metaKey(key)], newCounts[key])
+    );
+    if (stale.length > 0) await chrome.storage.local.remove(stale);
+    return;
+  }
+
+  // Tidy up: shorter lists leave chunks behind, and a list that fits in sync
+  // again no longer needs its local copy or its pre-chunking flat key
+  const staleSync = sharded.flatMap((key) => [
+    ...(key in syncBefore ? [key] : []),
+    ...chunkKeysFrom(key, syncBefore[metaKey(key)], newCounts[key])
+  ]);
+  if (staleSync.length > 0) await chrome.storage.sync.remove(staleSync);
+  const staleLocal = sharded
+    .filter((key) => localMeta[metaKey(key)])
+    .flatMap((key) => [metaKey(key), ...chunkKeysFrom(key, localMeta[metaKey(key)], 0)]);
+  if (staleLocal.length > 0) await chrome.storage.local.remove(staleLocal);
+}
+
+/**
+ * Read device-local data, like chrome.storage.local.get(defaults).
+ */
+function getLocalData(defaults) {
+  return chrome.storage.local.get(defaults);
+}
+
+/**
+ * Save device-local data, like chrome.storage.local.set(values).
+ */
+function setLocalData(values) {
+  return chrome.storage.local.set(values);
+}
+
+/**
+ * Delete device-local data, like chrome.storage.local.remove(keys).
+ */
+function removeLocalData(keys) {
+  return chrome.storage.local.remove(keys);
+}
+
+/**
+ * Return YYYY-MM-DD for a date in local time: the day key of siteUsage,
+ * blockStats and goalProgress, so days (and daily budgets) turn over at
+ * local midnight.
+ */
+function localDateKey(date) {
+  const month = String(date.getMonth() + 1).padStart(2, "0");
+  const day = String(date.getDate()).padStart(2, "0");
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * Listen for storage changes, like chrome.storage.onChanged. Settings changes
+ * are reported with area "sync" wherever they are stored, and sharded settings
+ * as a whole: { blockedSites: { newValue } } (no oldValue). Removal of
+ * leftover chunks is not reported.
+ */
+function onStorageChanged(listener) {
+  chrome.storage.onChanged.addListener((changes, area) => {
+    if (area !== "sync" && area !== "local") return;
+    const settings = {};
+    const localData = {};
+    const changedSharded = new Set();
+
+    for (const [rawKey, change] of Object.entries(changes)) {
+      const chunk = parseChunkKey(rawKey);
+      if (chunk) {
+        if (chunk.part === "meta" || change.newValue !== undefined) {
+          changedSharded.add(chunk.key);
+        }
+      } else if (isShardedKey(rawKey)) {
+        // Pre-chunking flat key, removed by the migration or a later write
+        continue;
+      } else if (area === "sync") {
+        settings[rawKey] = change;
+      } else {
+        localData[rawKey] = change;
+      }
+    }
+
+    if (Object.keys(localData).length > 0) listener(localData, "local");
+    if (changedSharded.size === 0) {
+      if (Object.keys(settings).length > 0) listener(settings, "sync");
+      return;
+    }
+    const defaults = {};
+    for (const key of changedSharded) defaults[key] = SHARDED_DEFAULTS[key];
+    getSettings(defaults)
+      .then((values) => {
+        for (const key of changedSharded) settings[key] = { newValue: values[key] };
+        listener(settings, "sync");
+      })
+      .catch((error) => {
+        console.error('[Website Blocker] Error reading changed settings:', error);
+      });
+  });
+}
+
+/**
+ * Bring stored data up to STORAGE_SCHEMA_VERSION, running each migration in
+ * order. Storage from before versioning counts as version 1.
+ */
+async function migrateStorage() {
+  const { schemaVersion } = await chrome.storage.sync.get({ schemaVersion: 1 });
+  for (let version = schemaVersion + 1; version <= STORAGE_SCHEMA_VERSION; version++) {
+    await STORAGE_MIGRATIONS[version]();
+    await chrome.storage.sync.set({ schemaVersion: version });
+    console.log(`[Website Blocker] Migrated storage to schema version ${version}`);
+  }
+}